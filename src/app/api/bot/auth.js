@@ -0,0 +1,23 @@
+/**
+ * Bot API auth
+ *
+ * The /api/bot/* management routes require `Authorization: Bearer <BOT_API_SECRET>`.
+ * Without BOT_API_SECRET configured every request is refused.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Check the request's bearer token against BOT_API_SECRET
+ * Compared in constant time, so response timing doesn't reveal the secret.
+ * @param {Request} request
+ */
+export function isAuthorized(request) {
+    const secret = process.env.BOT_API_SECRET;
+    if (!secret) return false;
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const given = Buffer.from(request.headers.get('authorization') || '');
+
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
@@ -0,0 +1,88 @@
+/**
+ * Bot Outbox API
+ * 
+ * Delivery status of outgoing messages (see OutboundQueue)
+ * GET ?id=...                        → one message
+ * GET ?chatId=...&status=...&limit=  → recent messages, newest first
+ * POST                               → send due retries now
+ *
+ * Requires `Authorization: Bearer <BOT_API_SECRET>`, refused when BOT_API_SECRET is unset
+ */
+
+import { getBot } from '@/bot/core/bot';
+import { isAuthorized } from '@/app/api/bot/auth';
+
+export async function GET(request) {
+    if (!isAuthorized(request)) {
+        return Response.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    try {
+        const bot = getBot();
+        await bot.initialize();
+
+        const outboundQueue = bot.getOutboundQueue();
+        const { searchParams } = new URL(request.url);
+
+        const id = searchParams.get('id');
+        if (id) {
+            const message = await outboundQueue.get(id);
+            if (!message) {
+                return Response.json({ success: false, error: 'Message not found' }, { status: 404 });
+            }
+            return Response.json({ success: true, message });
+        }
+
+        const status = searchParams.get('status');
+        const messages = await outboundQueue.list({
+            chatId: searchParams.get('chatId') || undefined,
+            status: status ? status.split(',') : undefined,
+            limit: Number(searchParams.get('limit')) || 50
+        });
+
+        return Response.json({
+            success: true,
+            stats: await outboundQueue.getStats(),
+            messages
+        });
+
+    } catch (error) {
+        console.error('Outbox error:', error);
+
+        return Response.json(
+            {
+                success: false,
+                error: 'Failed to get outbox',
+                message: error.message
+            },
+            { status: 500 }
+        );
+    }
+}
+
+export async function POST(request) {
+    if (!isAuthorized(request)) {
+        return Response.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    try {
+        const bot = getBot();
+        await bot.initialize();
+
+        const result = await bot.getOutboundQueue().flush();
+
+        return Response.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('Outbox flush error:', error);
+
+        return Response.json(
+            {
+                success: false,
+                error: 'Failed to flush outbox',
+                message: error.message
+            },
+            { status: 500 }
+        );
+    }
+}
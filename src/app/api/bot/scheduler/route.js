@@ -0,0 +1,68 @@
+/**
+ * Bot Scheduler API
+ * 
+ * Scheduled jobs (see Scheduler)
+ * GET ?chatId=...  → jobs, soonest first
+ * POST             → run due jobs now (call every minute from a cron service
+ *                    when the bot doesn't run its own timer, see SCHEDULER_INTERVAL)
+ *
+ * Requires `Authorization: Bearer <BOT_API_SECRET>`, refused when BOT_API_SECRET is unset
+ */
+
+import { getBot } from '@/bot/core/bot';
+import { isAuthorized } from '@/app/api/bot/auth';
+
+export async function GET(request) {
+    if (!isAuthorized(request)) {
+        return Response.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    try {
+        const bot = getBot();
+        await bot.initialize();
+
+        const { searchParams } = new URL(request.url);
+        const jobs = await bot.getScheduler().list(searchParams.get('chatId') || undefined);
+
+        return Response.json({ success: true, jobs });
+
+    } catch (error) {
+        console.error('Scheduler error:', error);
+
+        return Response.json(
+            {
+                success: false,
+                error: 'Failed to get jobs',
+                message: error.message
+            },
+            { status: 500 }
+        );
+    }
+}
+
+export async function POST(request) {
+    if (!isAuthorized(request)) {
+        return Response.json({ success: false, error: 'Unauthorized' }, { status: 401 });
+    }
+
+    try {
+        const bot = getBot();
+        await bot.initialize();
+
+        const result = await bot.getScheduler().runDue();
+
+        return Response.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('Scheduler run error:', error);
+
+        return Response.json(
+            {
+                success: false,
+                error: 'Failed to run jobs',
+                message: error.message
+            },
+            { status: 500 }
+        );
+    }
+}
@@ -8,6 +8,7 @@ import { PageHeader } from "@/components/page-header";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
 import { getGroup, getService, getServiceDefinition, formatPhoneNumber } from "@/lib/data";
+import { expandRoles, getInheritingRoles } from "@/bot/utils/roles";
 import { ArrowLeft, Plus, ShieldCheck, Trash2, UserPlus, Users } from "lucide-react";
 
 export default function RolesPage() {
@@ -99,6 +100,7 @@ export default function RolesPage() {
                   </Badge>
                 </div>
                 {definedRoles.includes(roleName) && <CardDescription className="text-xs">Defined role in service schema</CardDescription>}
+                <RoleInheritance serviceDef={serviceDef} roleName={roleName} />
               </CardHeader>
               <CardContent>
                 {members.length === 0 ? (
@@ -132,3 +134,36 @@ export default function RolesPage() {
     </>
   );
 }
+
+// Roles this role inherits, and roles that inherit it (see "roleInheritance" in service.json)
+function RoleInheritance({ serviceDef, roleName }) {
+  const inherits = expandRoles(serviceDef, [roleName]).slice(1);
+  const inheritedBy = getInheritingRoles(serviceDef, roleName);
+
+  if (!inherits.length && !inheritedBy.length) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 pt-1 text-xs text-muted-foreground">
+      {inherits.length > 0 && (
+        <>
+          <span>Inherits</span>
+          {inherits.map((r) => (
+            <Badge key={r} variant="outline" className="text-xs">
+              {r}
+            </Badge>
+          ))}
+        </>
+      )}
+      {inheritedBy.length > 0 && (
+        <>
+          <span>Inherited by</span>
+          {inheritedBy.map((r) => (
+            <Badge key={r} variant="outline" className="text-xs">
+              {r}
+            </Badge>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
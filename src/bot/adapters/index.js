@@ -0,0 +1,43 @@
+/**
+ * State Adapters
+ * 
+ * Storage backends behind StateManager. Every adapter implements:
+ * - connect()
+ * - getRoot(), createRoot(root), updateRoot(update, filter)
+ * - getChat(chatId), getChatIds({ service }), ensureChat(chatId, defaults), updateChat(chatId, update, filter)
+ * - getStorage, setStorage, pushStorageItem, updateStorageItem, pullStorageItem, deleteServiceStorage
+ * - getSessions(), getSession(key), saveSession(key, session), deleteSession(key)
+ * - addOutboxMessage(message), getOutboxMessage(id), getOutboxMessages({ chatId, status, sort, limit }),
+ *   updateOutboxMessage(id, update, filter), deleteOutboxMessages({ status, before })
+ * - addJob(job) (keeps an existing job with the id), getJob(id), getJobs({ chatId, service, dueBefore }), updateJob(id, update, filter), deleteJob(id)
+ *
+ * Updates use MongoDB update operators ($set, $unset, $push, $pull, $addToSet, $inc)
+ * and documents are returned as plain objects. Update filters support equality
+ * and $exists; StateManager uses them on `version` for optimistic concurrency,
+ * so a single update must be applied atomically.
+ */
+
+import { MongoAdapter } from './mongo-adapter.js';
+import { MemoryAdapter } from './memory-adapter.js';
+import { JsonFileAdapter } from './json-file-adapter.js';
+
+const ADAPTERS = {
+    mongo: MongoAdapter,
+    memory: MemoryAdapter,
+    json: JsonFileAdapter
+};
+
+/**
+ * Create a state adapter by name
+ * @param {string} type - 'mongo' (default), 'memory' or 'json'
+ * @param {object} options - Adapter options (dbUri, filePath, ...)
+ */
+export function createStateAdapter(type = 'mongo', options = {}) {
+    const Adapter = ADAPTERS[type];
+    if (!Adapter) {
+        throw new Error(`Unknown state adapter: ${type}\nValid: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+    return new Adapter(options);
+}
+
+export { MongoAdapter, MemoryAdapter, JsonFileAdapter };
@@ -0,0 +1,51 @@
+/**
+ * JSON File Adapter
+ * 
+ * Memory adapter that persists the whole state to a single JSON file
+ * after every change. Intended for local development and small deployments
+ * running a single process (the file is not shared safely between processes).
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { MemoryAdapter } from './memory-adapter.js';
+
+export class JsonFileAdapter extends MemoryAdapter {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'json';
+        this.filePath = path.resolve(options.filePath || process.env.STATE_FILE || 'bot-state.json');
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Load state from disk (an absent file starts with empty state)
+     */
+    async connect() {
+        try {
+            this.data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        await super.connect();
+    }
+
+    /**
+     * Write state to disk atomically; writes are serialized so they never interleave
+     */
+    async persist() {
+        const json = JSON.stringify(this.data, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+
+        this.pendingWrite = this.pendingWrite.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.writeFile(tmpPath, json, 'utf8');
+            await fs.rename(tmpPath, this.filePath);
+        });
+
+        return this.pendingWrite;
+    }
+}
+
+export default JsonFileAdapter;
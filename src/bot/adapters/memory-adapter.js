@@ -0,0 +1,455 @@
+/**
+ * Memory Adapter
+ * 
+ * State adapter that keeps everything in process memory
+ * Useful for local development and for exercising handlers without MongoDB.
+ * Data is lost when the process exits (see JsonFileAdapter for persistence).
+ * Each update is applied synchronously, so concurrent requests in the same
+ * process never interleave inside one update.
+ *
+ * Layout mirrors src/sample-data/db.state.json:
+ * { rootUsers, rootSettings, chats: { [chatId]: { ..., services: { [name]: { roles, serviceSettings, storage } } } }, sessions, outbox, jobs, audit, changeSets }
+ */
+
+export class MemoryAdapter {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.data = options.data || { chats: {}, sessions: {}, outbox: {}, jobs: {}, audit: [], changeSets: {} };
+    }
+
+    async connect() {
+        this.data.chats ||= {};
+        this.data.sessions ||= {};
+        this.data.outbox ||= {};
+        this.data.jobs ||= {};
+        this.data.audit ||= [];
+        this.data.changeSets ||= {};
+    }
+
+    /**
+     * Persist current data (no-op in memory, overridden by file-backed adapters)
+     */
+    async persist() {}
+
+    // ============================================
+    // ROOT STATE
+    // ============================================
+
+    async getRoot() {
+        if (!this.data.rootSettings) return null;
+        return clone({
+            version: this.data.version,
+            rootUsers: this.data.rootUsers,
+            rootSettings: this.data.rootSettings
+        });
+    }
+
+    async createRoot(root) {
+        this.data.version = root.version ?? 0;
+        this.data.rootUsers = clone(root.rootUsers || []);
+        this.data.rootSettings = clone(root.rootSettings || {});
+        await this.persist();
+        return this.getRoot();
+    }
+
+    async updateRoot(update, filter = {}) {
+        if (!matchesFilter(this.data, filter)) return null;
+
+        applyUpdate(this.data, update);
+        await this.persist();
+        return this.getRoot();
+    }
+
+    // ============================================
+    // CHATS
+    // ============================================
+
+    async getChat(chatId) {
+        const chat = this.data.chats[chatId];
+        return chat ? withoutStorage(chat) : null;
+    }
+
+    async getChatIds({ service } = {}) {
+        // Chats are keyed by id; files like the sample db.state.json don't repeat it inside
+        return Object.entries(this.data.chats)
+            .filter(([, chat]) => !service || chat.services?.[service])
+            .map(([chatId]) => chatId);
+    }
+
+    async ensureChat(chatId, defaults) {
+        if (!this.data.chats[chatId]) {
+            this.data.chats[chatId] = { chatId, ...clone(defaults) };
+            await this.persist();
+        }
+        return this.getChat(chatId);
+    }
+
+    async updateChat(chatId, update, filter = {}) {
+        const chat = this.data.chats[chatId];
+        if (!chat || !matchesFilter(chat, filter)) return null;
+
+        applyUpdate(chat, update);
+        await this.persist();
+        return withoutStorage(chat);
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    /**
+     * Get the live storage list for a service (created on demand)
+     */
+    getStorageList(chatId, serviceName, storageName) {
+        const service = this.data.chats[chatId]?.services?.[serviceName];
+        if (!service) return null;
+
+        service.storage ||= {};
+        service.storage[storageName] ||= [];
+        return service.storage[storageName];
+    }
+
+    async getStorage(chatId, serviceName, storageName) {
+        return clone(this.data.chats[chatId]?.services?.[serviceName]?.storage?.[storageName] || []);
+    }
+
+    async setStorage(chatId, serviceName, storageName, items) {
+        const service = this.data.chats[chatId]?.services?.[serviceName];
+        if (!service) return;
+
+        service.storage ||= {};
+        service.storage[storageName] = clone(items);
+        await this.persist();
+    }
+
+    async pushStorageItem(chatId, serviceName, storageName, item) {
+        const list = this.getStorageList(chatId, serviceName, storageName);
+        if (!list) return;
+
+        list.push(clone(item));
+        await this.persist();
+    }
+
+    async updateStorageItem(chatId, serviceName, storageName, itemId, updates) {
+        const list = this.getStorageList(chatId, serviceName, storageName);
+        const item = list?.find(i => i._id === itemId);
+        if (!item) return null;
+
+        Object.assign(item, clone(updates));
+        await this.persist();
+        return clone(item);
+    }
+
+    async pullStorageItem(chatId, serviceName, storageName, itemId) {
+        const list = this.getStorageList(chatId, serviceName, storageName);
+        const index = list ? list.findIndex(i => i._id === itemId) : -1;
+        if (index === -1) return false;
+
+        list.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    async deleteServiceStorage(chatId, serviceName) {
+        const service = this.data.chats[chatId]?.services?.[serviceName];
+        if (!service?.storage) return;
+
+        service.storage = {};
+        await this.persist();
+    }
+
+    // ============================================
+    // SESSIONS
+    // ============================================
+
+    async getSessions() {
+        return clone(this.data.sessions);
+    }
+
+    async getSession(key) {
+        return clone(this.data.sessions[key]);
+    }
+
+    async saveSession(key, session) {
+        this.data.sessions[key] = clone(session);
+        await this.persist();
+    }
+
+    async deleteSession(key) {
+        if (key in this.data.sessions) {
+            delete this.data.sessions[key];
+            await this.persist();
+        }
+    }
+
+    // ============================================
+    // OUTBOX
+    // ============================================
+
+    async addOutboxMessage(message) {
+        this.data.outbox[message.id] = clone(message);
+        await this.persist();
+    }
+
+    async getOutboxMessage(id) {
+        return clone(this.data.outbox[id]) || null;
+    }
+
+    async getOutboxMessages({ chatId, status, sort = 1, limit } = {}) {
+        const statuses = status ? [].concat(status) : null;
+        const messages = Object.values(this.data.outbox)
+            .filter(m => (!chatId || m.chatId === chatId) && (!statuses || statuses.includes(m.status)))
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) * sort);
+
+        return clone(limit ? messages.slice(0, limit) : messages);
+    }
+
+    async updateOutboxMessage(id, update, filter = {}) {
+        const message = this.data.outbox[id];
+        if (!message || !matchesFilter(message, filter)) return null;
+
+        applyUpdate(message, update);
+        await this.persist();
+        return clone(message);
+    }
+
+    async deleteOutboxMessages({ status, before }) {
+        const statuses = [].concat(status);
+        let count = 0;
+
+        for (const [id, message] of Object.entries(this.data.outbox)) {
+            if (statuses.includes(message.status) && message.updatedAt < before) {
+                delete this.data.outbox[id];
+                count++;
+            }
+        }
+
+        if (count) await this.persist();
+        return count;
+    }
+
+    // ============================================
+    // JOBS
+    // ============================================
+
+    async addJob(job) {
+        if (this.data.jobs[job.id]) return;
+        this.data.jobs[job.id] = clone(job);
+        await this.persist();
+    }
+
+    async getJob(id) {
+        return clone(this.data.jobs[id]) || null;
+    }
+
+    async getJobs({ chatId, service, dueBefore } = {}) {
+        const jobs = Object.values(this.data.jobs)
+            .filter(j => (!chatId || j.chatId === chatId) && (!service || j.service === service))
+            .filter(j => !dueBefore || (j.enabled && j.nextRunAt && j.nextRunAt <= dueBefore))
+            .sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''));
+
+        return clone(jobs);
+    }
+
+    async updateJob(id, update, filter = {}) {
+        const job = this.data.jobs[id];
+        if (!job || !matchesFilter(job, filter)) return null;
+
+        applyUpdate(job, update);
+        await this.persist();
+        return clone(job);
+    }
+
+    async deleteJob(id) {
+        if (!this.data.jobs[id]) return false;
+
+        delete this.data.jobs[id];
+        await this.persist();
+        return true;
+    }
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    async addAuditEntry(entry) {
+        this.data.audit.push(clone(entry));
+        await this.persist();
+    }
+
+    async getAuditEntries({ chatId, userId, command, since, limit } = {}) {
+        const name = command?.toLowerCase();
+        // Reversed first so entries of the same millisecond stay newest first
+        const entries = [...this.data.audit].reverse()
+            .filter(e => (!chatId || e.chatId === chatId) && (!userId || e.userId === userId))
+            .filter(e => !name || e.command.toLowerCase() === name || e.service?.toLowerCase() === name)
+            .filter(e => !since || e.createdAt >= since)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return clone(limit ? entries.slice(0, limit) : entries);
+    }
+
+    // ============================================
+    // CHANGE SETS
+    // ============================================
+
+    async addChangeSet(changeSet) {
+        this.data.changeSets[changeSet.id] = clone(changeSet);
+        await this.persist();
+    }
+
+    async getChangeSets({ chatId, userId, since, limit } = {}) {
+        const changeSets = Object.values(this.data.changeSets).reverse()
+            .filter(c => (!chatId || c.chatId === chatId) && (!userId || c.userId === userId))
+            .filter(c => !since || c.createdAt >= since)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return clone(limit ? changeSets.slice(0, limit) : changeSets);
+    }
+
+    async deleteChangeSet(id) {
+        if (!this.data.changeSets[id]) return false;
+
+        delete this.data.changeSets[id];
+        await this.persist();
+        return true;
+    }
+
+    async deleteChangeSets({ chatId, before }) {
+        let count = 0;
+
+        for (const [id, changeSet] of Object.entries(this.data.changeSets)) {
+            if (changeSet.chatId === chatId && changeSet.createdAt < before) {
+                delete this.data.changeSets[id];
+                count++;
+            }
+        }
+
+        if (count) await this.persist();
+        return count;
+    }
+}
+
+function clone(value) {
+    return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Copy a chat without its (potentially large) storage lists
+ */
+function withoutStorage(chat) {
+    const { services = {}, ...rest } = chat;
+    const copy = clone(rest);
+    copy.services = {};
+    for (const [name, { storage, ...service }] of Object.entries(services)) {
+        copy.services[name] = clone(service);
+    }
+    return copy;
+}
+
+/**
+ * Resolve a dotted path to its parent object and final key
+ */
+function resolvePath(doc, path, create = false) {
+    const keys = path.split('.');
+    let obj = doc;
+
+    for (let i = 0; i < keys.length - 1; i++) {
+        if (obj[keys[i]] === undefined || obj[keys[i]] === null) {
+            if (!create) return { parent: null, key: keys[keys.length - 1] };
+            obj[keys[i]] = {};
+        }
+        obj = obj[keys[i]];
+    }
+
+    return { parent: obj, key: keys[keys.length - 1] };
+}
+
+function getPath(doc, path) {
+    const { parent, key } = resolvePath(doc, path);
+    return parent ? parent[key] : undefined;
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Check whether an array element matches a $pull condition
+ * (plain value, or an object whose fields must all match)
+ */
+function matchesCondition(element, condition) {
+    if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+        return element && typeof element === 'object' &&
+            Object.entries(condition).every(([k, v]) => isEqual(element[k], v));
+    }
+    return isEqual(element, condition);
+}
+
+/**
+ * Check a document against a filter of equality / $exists conditions
+ */
+function matchesFilter(doc, filter) {
+    for (const [path, condition] of Object.entries(filter)) {
+        const value = getPath(doc, path);
+
+        if (condition && typeof condition === 'object' && '$exists' in condition) {
+            if ((value !== undefined) !== condition.$exists) return false;
+        } else if (!isEqual(value, condition)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Apply the subset of MongoDB update operators used by StateManager
+ * ($set, $unset, $push, $pull, $addToSet, $inc) to a plain object
+ */
+function applyUpdate(doc, update) {
+    for (const [op, fields] of Object.entries(update)) {
+        for (const [path, rawValue] of Object.entries(fields)) {
+            const value = clone(rawValue);
+
+            switch (op) {
+                case '$set': {
+                    const { parent, key } = resolvePath(doc, path, true);
+                    parent[key] = value;
+                    break;
+                }
+                case '$unset': {
+                    const { parent, key } = resolvePath(doc, path);
+                    if (parent) delete parent[key];
+                    break;
+                }
+                case '$push':
+                case '$addToSet': {
+                    const { parent, key } = resolvePath(doc, path, true);
+                    if (!Array.isArray(parent[key])) parent[key] = [];
+                    const values = value?.$each ?? [value];
+                    for (const v of values) {
+                        if (op === '$addToSet' && parent[key].some(existing => isEqual(existing, v))) continue;
+                        parent[key].push(v);
+                    }
+                    break;
+                }
+                case '$inc': {
+                    const { parent, key } = resolvePath(doc, path, true);
+                    parent[key] = (parent[key] || 0) + value;
+                    break;
+                }
+                case '$pull': {
+                    const { parent, key } = resolvePath(doc, path);
+                    if (Array.isArray(parent?.[key])) {
+                        parent[key] = parent[key].filter(element => !matchesCondition(element, value));
+                    }
+                    break;
+                }
+                default:
+                    throw new Error(`Unsupported update operator: ${op}`);
+            }
+        }
+    }
+}
+
+export default MemoryAdapter;
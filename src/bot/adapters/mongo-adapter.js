@@ -0,0 +1,540 @@
+/**
+ * Mongo Adapter
+ * 
+ * State adapter backed by MongoDB (via mongoose)
+ * State is split across collections so that a message only touches the
+ * documents it needs:
+ * - BotState:   root users and root settings (single small document)
+ * - BotChat:    one document per chat (admin settings, names, service roles/settings)
+ * - BotStorage: one document per chat/service/storage list
+ * - BotSession: one document per interactive session
+ * - BotOutbox:  one document per outbound message (see OutboundQueue)
+ * - BotJob:     one document per scheduled job (see Scheduler)
+ * - BotAudit:   one document per audit log entry (see AuditLog)
+ * - BotChangeSet: one document per undoable command (see StorageManager.saveChangeSet)
+ */
+
+import mongoose from 'mongoose';
+
+// MongoDB Schema for root-level Bot State
+const BotStateSchema = new mongoose.Schema({
+    version: { type: Number, default: 0 },
+    rootUsers: [String],
+    rootSettings: {
+        status: { type: String, enum: ['active', 'paused'], default: 'active' },
+        rootPrefix: { type: String, default: 'root' },
+        adminPrefix: { type: String, default: 'admin' },
+        AIConfig: {
+            provider: String,
+            apiKey: String,
+            baseUrl: String,
+            model: { type: String, default: 'gemini-1.5-pro' },
+            systemPrompt: { type: String, default: 'You are a helpful assistant.' }
+        },
+        blackList: [{
+            userId: String,
+            groups: [String],
+            services: [String],
+            commands: [String]
+        }],
+        invokePrefixPattern: { type: String, default: '^\\.(?!\\.)\\s*([\\s\\S]+)$' },
+        localInvokePrefix: { type: String, default: 'local' }
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// MongoDB Schema for a single chat
+const BotChatSchema = new mongoose.Schema({
+    chatId: { type: String, required: true, unique: true },
+    version: { type: Number, default: 0 },
+    chatType: { type: String, enum: ['group', 'private'] },
+    adminSettings: {
+        disableServicePrefix: String,
+        status: { type: String, enum: ['active', 'paused'], default: 'active' },
+        argsOnlyCmdSetting: {
+            service: String,
+            command: String
+        },
+        replyOnParsingError: { type: Boolean, default: false },
+        timezone: String,
+        undoWindow: Number,
+        blackList: [{
+            userId: String,
+            services: [String],
+            commands: [String]
+        }]
+    },
+    displayNames: {
+        type: Map,
+        of: String
+    },
+    services: {
+        type: Map,
+        of: new mongoose.Schema({
+            version: Number,
+            roles: {
+                type: Map,
+                of: [String]
+            },
+            serviceSettings: {
+                type: Map,
+                of: mongoose.Schema.Types.Mixed
+            }
+        }, { _id: false })
+    }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// MongoDB Schema for a service storage list in a chat
+const BotStorageSchema = new mongoose.Schema({
+    chatId: { type: String, required: true },
+    service: { type: String, required: true },
+    name: { type: String, required: true },
+    items: [mongoose.Schema.Types.Mixed]
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+BotStorageSchema.index({ chatId: 1, service: 1, name: 1 }, { unique: true });
+
+// MongoDB Schema for an interactive session
+const BotSessionSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    chatId: String,
+    userId: String,
+    data: mongoose.Schema.Types.Mixed,
+    expiresAt: { type: Date, expires: 0 }
+}, {
+    timestamps: true,
+    minimize: false
+});
+
+// MongoDB Schema for an outbound message
+// Timestamps are ISO strings set by OutboundQueue, like the other adapters store them
+const BotOutboxSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    chatId: String,
+    status: String,
+    createdAt: String,
+    updatedAt: String
+}, {
+    strict: false,
+    minimize: false
+});
+
+BotOutboxSchema.index({ status: 1, createdAt: 1 });
+BotOutboxSchema.index({ chatId: 1, createdAt: -1 });
+
+// MongoDB Schema for a scheduled job
+// Timestamps are ISO strings set by Scheduler
+const BotJobSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    chatId: String,
+    service: String,
+    enabled: Boolean,
+    nextRunAt: String
+}, {
+    strict: false,
+    minimize: false
+});
+
+BotJobSchema.index({ enabled: 1, nextRunAt: 1 });
+BotJobSchema.index({ chatId: 1 });
+
+// MongoDB Schema for an audit log entry
+// Timestamps are ISO strings set by AuditLog
+const BotAuditSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    chatId: String,
+    userId: String,
+    command: String,
+    service: String,
+    createdAt: String
+}, {
+    strict: false,
+    minimize: false
+});
+
+BotAuditSchema.index({ chatId: 1, createdAt: -1 });
+BotAuditSchema.index({ userId: 1, createdAt: -1 });
+
+// MongoDB Schema for the storage changes of one command
+// Timestamps are ISO strings set by StorageManager
+const BotChangeSetSchema = new mongoose.Schema({
+    id: { type: String, required: true, unique: true },
+    chatId: String,
+    userId: String,
+    changes: [mongoose.Schema.Types.Mixed],
+    createdAt: String
+}, {
+    strict: false,
+    minimize: false
+});
+
+BotChangeSetSchema.index({ chatId: 1, userId: 1, createdAt: -1 });
+
+// Create models
+function getModel(name, schema) {
+    try {
+        return mongoose.model(name);
+    } catch {
+        return mongoose.model(name, schema);
+    }
+}
+
+const BotState = getModel('BotState', BotStateSchema);
+const BotChat = getModel('BotChat', BotChatSchema);
+const BotStorage = getModel('BotStorage', BotStorageSchema);
+const BotSession = getModel('BotSession', BotSessionSchema);
+const BotOutbox = getModel('BotOutbox', BotOutboxSchema);
+const BotJob = getModel('BotJob', BotJobSchema);
+const BotAudit = getModel('BotAudit', BotAuditSchema);
+const BotChangeSet = getModel('BotChangeSet', BotChangeSetSchema);
+
+/**
+ * Run an upsert, retrying once when a concurrent upsert inserted the same
+ * document first (duplicate key on the unique index)
+ */
+async function upsert(run) {
+    try {
+        return await run();
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return run();
+    }
+}
+
+export class MongoAdapter {
+    constructor(options = {}) {
+        this.name = 'mongo';
+        this.dbUri = options.dbUri || process.env.MONGODB_URI;
+        this.dbName = options.dbName || process.env.MONGODB_DB_NAME || 'test';
+    }
+
+    /**
+     * Connect to MongoDB
+     */
+    async connect() {
+        if (mongoose.connection.readyState !== 1) {
+            await mongoose.connect(this.dbUri, { dbName: this.dbName });
+        }
+
+        await this.migrateLegacyState();
+    }
+
+    /**
+     * Move chats, storage and sessions out of a legacy single BotState document
+     * into their own collections. Runs once; the legacy fields are removed after.
+     */
+    async migrateLegacyState() {
+        const legacy = await BotState.collection.findOne({
+            $or: [{ chats: { $exists: true } }, { sessions: { $exists: true } }]
+        });
+        if (!legacy) return;
+
+        for (const [encodedChatId, chat] of Object.entries(legacy.chats || {})) {
+            const chatId = encodedChatId.replace(/~/g, '.');
+            const services = {};
+
+            for (const [serviceName, service] of Object.entries(chat.services || {})) {
+                services[serviceName] = {
+                    roles: service.roles || {},
+                    serviceSettings: service.serviceSettings || {}
+                };
+
+                for (const [storageName, items] of Object.entries(service.storage || {})) {
+                    await this.setStorage(chatId, serviceName, storageName, items || []);
+                }
+            }
+
+            await BotChat.updateOne(
+                { chatId },
+                {
+                    $set: {
+                        chatType: chat.chatType,
+                        adminSettings: chat.adminSettings || {},
+                        displayNames: chat.displayNames || {},
+                        services
+                    }
+                },
+                { upsert: true }
+            );
+        }
+
+        for (const [key, session] of Object.entries(legacy.sessions || {})) {
+            await this.saveSession(key, session);
+        }
+
+        await BotState.collection.updateOne({ _id: legacy._id }, { $unset: { chats: '', sessions: '' } });
+        console.log('Migrated legacy bot state to per-chat documents');
+    }
+
+    // ============================================
+    // ROOT STATE
+    // ============================================
+
+    async getRoot() {
+        return BotState.findOne().lean();
+    }
+
+    async createRoot(root) {
+        const doc = await BotState.create(root);
+        return doc.toObject();
+    }
+
+    async updateRoot(update, filter = {}) {
+        return BotState.findOneAndUpdate(filter, update, { returnDocument: 'after' }).lean();
+    }
+
+    // ============================================
+    // CHATS
+    // ============================================
+
+    async getChat(chatId) {
+        return BotChat.findOne({ chatId }).lean();
+    }
+
+    async getChatIds({ service } = {}) {
+        const query = service ? { [`services.${service}`]: { $exists: true } } : {};
+        const chats = await BotChat.find(query, { chatId: 1 }).lean();
+        return chats.map(chat => chat.chatId);
+    }
+
+    async ensureChat(chatId, defaults) {
+        return upsert(() => BotChat.findOneAndUpdate(
+            { chatId },
+            { $setOnInsert: { chatId, ...defaults } },
+            { returnDocument: 'after', upsert: true }
+        ).lean());
+    }
+
+    async updateChat(chatId, update, filter = {}) {
+        return BotChat.findOneAndUpdate({ chatId, ...filter }, update, { returnDocument: 'after' }).lean();
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    async getStorage(chatId, serviceName, storageName) {
+        const doc = await BotStorage.findOne(
+            { chatId, service: serviceName, name: storageName },
+            { items: 1 }
+        ).lean();
+
+        return doc?.items || [];
+    }
+
+    async setStorage(chatId, serviceName, storageName, items) {
+        await upsert(() => BotStorage.updateOne(
+            { chatId, service: serviceName, name: storageName },
+            { $set: { items } },
+            { upsert: true }
+        ));
+    }
+
+    async pushStorageItem(chatId, serviceName, storageName, item) {
+        await upsert(() => BotStorage.updateOne(
+            { chatId, service: serviceName, name: storageName },
+            { $push: { items: item } },
+            { upsert: true }
+        ));
+    }
+
+    async updateStorageItem(chatId, serviceName, storageName, itemId, updates) {
+        const set = {};
+        for (const [field, value] of Object.entries(updates)) {
+            set[`items.$.${field}`] = value;
+        }
+
+        const doc = await BotStorage.findOneAndUpdate(
+            { chatId, service: serviceName, name: storageName, 'items._id': itemId },
+            { $set: set },
+            { returnDocument: 'after', projection: { items: { $elemMatch: { _id: itemId } } } }
+        ).lean();
+
+        return doc?.items?.[0] || null;
+    }
+
+    async pullStorageItem(chatId, serviceName, storageName, itemId) {
+        const result = await BotStorage.updateOne(
+            { chatId, service: serviceName, name: storageName },
+            { $pull: { items: { _id: itemId } } }
+        );
+
+        return result.modifiedCount > 0;
+    }
+
+    async deleteServiceStorage(chatId, serviceName) {
+        await BotStorage.deleteMany({ chatId, service: serviceName });
+    }
+
+    // ============================================
+    // SESSIONS
+    // ============================================
+
+    async getSessions() {
+        const docs = await BotSession.find({}, { key: 1, data: 1 }).lean();
+        return Object.fromEntries(docs.map(doc => [doc.key, doc.data]));
+    }
+
+    async getSession(key) {
+        const doc = await BotSession.findOne({ key }, { data: 1 }).lean();
+        return doc?.data;
+    }
+
+    async saveSession(key, session) {
+        await upsert(() => BotSession.updateOne(
+            { key },
+            {
+                $set: {
+                    chatId: session.chatId,
+                    userId: session.userId,
+                    data: session,
+                    expiresAt: session.expiresAt ? new Date(session.expiresAt) : null
+                }
+            },
+            { upsert: true }
+        ));
+    }
+
+    async deleteSession(key) {
+        await BotSession.deleteOne({ key });
+    }
+
+    // ============================================
+    // OUTBOX
+    // ============================================
+
+    async addOutboxMessage(message) {
+        await BotOutbox.create(message);
+    }
+
+    async getOutboxMessage(id) {
+        return BotOutbox.findOne({ id }, { _id: 0, __v: 0 }).lean();
+    }
+
+    async getOutboxMessages({ chatId, status, sort = 1, limit } = {}) {
+        const query = {
+            ...(chatId && { chatId }),
+            ...(status && { status: { $in: [].concat(status) } })
+        };
+
+        let cursor = BotOutbox.find(query, { _id: 0, __v: 0 }).sort({ createdAt: sort });
+        if (limit) cursor = cursor.limit(limit);
+        return cursor.lean();
+    }
+
+    async updateOutboxMessage(id, update, filter = {}) {
+        return BotOutbox.findOneAndUpdate(
+            { ...filter, id },
+            update,
+            { returnDocument: 'after', projection: { _id: 0, __v: 0 } }
+        ).lean();
+    }
+
+    async deleteOutboxMessages({ status, before }) {
+        const result = await BotOutbox.deleteMany({
+            status: { $in: [].concat(status) },
+            updatedAt: { $lt: before }
+        });
+        return result.deletedCount;
+    }
+
+    // ============================================
+    // JOBS
+    // ============================================
+
+    async addJob(job) {
+        // Instances syncing service jobs at once add the same ids; the first one wins
+        await upsert(() => BotJob.updateOne({ id: job.id }, { $setOnInsert: job }, { upsert: true }));
+    }
+
+    async getJob(id) {
+        return BotJob.findOne({ id }, { _id: 0, __v: 0 }).lean();
+    }
+
+    async getJobs({ chatId, service, dueBefore } = {}) {
+        const query = {
+            ...(chatId && { chatId }),
+            ...(service && { service }),
+            ...(dueBefore && { enabled: true, nextRunAt: { $lte: dueBefore } })
+        };
+
+        return BotJob.find(query, { _id: 0, __v: 0 }).sort({ nextRunAt: 1 }).lean();
+    }
+
+    async updateJob(id, update, filter = {}) {
+        return BotJob.findOneAndUpdate(
+            { ...filter, id },
+            update,
+            { returnDocument: 'after', projection: { _id: 0, __v: 0 } }
+        ).lean();
+    }
+
+    async deleteJob(id) {
+        const result = await BotJob.deleteOne({ id });
+        return result.deletedCount > 0;
+    }
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    async addAuditEntry(entry) {
+        await BotAudit.create(entry);
+    }
+
+    async getAuditEntries({ chatId, userId, command, since, limit } = {}) {
+        const query = {
+            ...(chatId && { chatId }),
+            ...(userId && { userId }),
+            ...(command && { $or: [{ command }, { service: command }] }),
+            ...(since && { createdAt: { $gte: since } })
+        };
+
+        // Strength 2 compares command names case-insensitively
+        let cursor = BotAudit.find(query, { _id: 0, __v: 0 })
+            .collation({ locale: 'en', strength: 2 })
+            .sort({ createdAt: -1, _id: -1 });
+        if (limit) cursor = cursor.limit(limit);
+        return cursor.lean();
+    }
+
+    // ============================================
+    // CHANGE SETS
+    // ============================================
+
+    async addChangeSet(changeSet) {
+        await BotChangeSet.create(changeSet);
+    }
+
+    async getChangeSets({ chatId, userId, since, limit } = {}) {
+        const query = {
+            ...(chatId && { chatId }),
+            ...(userId && { userId }),
+            ...(since && { createdAt: { $gte: since } })
+        };
+
+        let cursor = BotChangeSet.find(query, { _id: 0, __v: 0 }).sort({ createdAt: -1, _id: -1 });
+        if (limit) cursor = cursor.limit(limit);
+        return cursor.lean();
+    }
+
+    async deleteChangeSet(id) {
+        const result = await BotChangeSet.deleteOne({ id });
+        return result.deletedCount > 0;
+    }
+
+    async deleteChangeSets({ chatId, before }) {
+        const result = await BotChangeSet.deleteMany({ chatId, createdAt: { $lt: before } });
+        return result.deletedCount;
+    }
+}
+
+export default MongoAdapter;
@@ -0,0 +1,101 @@
+/**
+ * AI Argument Extraction
+ * 
+ * Reads command arguments out of free-form text for commands flagged with
+ * "AIConfig": { "readWithAI": true }. The model only proposes values; every
+ * value is validated with TypeParser and anything invalid is left unfilled.
+ */
+
+const FREE_TEXT_TYPES = ['string', 'text'];
+
+/**
+ * Build the extraction instructions for a set of parameters
+ */
+function buildSystemPrompt(parameters, typeParser, options) {
+    const lines = Object.entries(parameters).map(([name, def]) => {
+        const type = def.isList ? `JSON array of ${def.type}` : def.type;
+        const optional = def.optional ? ', optional' : '';
+        // String descriptions are about quoting/escaping, which doesn't apply to JSON values
+        const constraints = typeParser.describeConstraints(def.type, def, options.service);
+        const format = (FREE_TEXT_TYPES.includes(def.type) ? '' : `; ${typeParser.getTypeInfo(def.type, options.service).description}`) +
+            (constraints ? `; ${constraints}` : '');
+        return `- ${name} (${type}${optional}${format}): ${def.description || name}`;
+    });
+
+    return [
+        'You extract command arguments from a user message.',
+        'Reply with a single JSON object and nothing else, using only these keys:',
+        ...lines,
+        'Leave a key out when the message does not state its value. Do not guess.',
+        `Today is ${new Date().toLocaleDateString('sv-SE', { timeZone: options.timeZone })}.`
+    ].join('\n');
+}
+
+/**
+ * Pull the first JSON object out of a model reply (tolerates code fences and prose)
+ */
+function parseJsonObject(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) return null;
+
+    try {
+        const value = JSON.parse(text.slice(start, end + 1));
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Validate one proposed value against its parameter definition
+ * @returns {{ success: boolean, value?: any }}
+ */
+function validateValue(value, def, typeParser, options) {
+    if (def.isList) {
+        // TypeParser lists are comma separated; escape commas inside items
+        const items = Array.isArray(value) ? value : [value];
+        const raw = items.map(item => String(item).replace(/,/g, '\\,')).join(',');
+        return typeParser.parse(raw, def.type, def, options);
+    }
+
+    if (typeof value === 'object') return { success: false };
+    return typeParser.parse(String(value), def.type, { ...def, optional: false }, options);
+}
+
+/**
+ * Extract arguments from free-form text
+ * @param {object} provider - AI provider (see ./index.js)
+ * @param {string} text - User's free-form text
+ * @param {object} parameters - Parameter definitions of the selected syntax
+ * @param {TypeParser} typeParser
+ * @param {object} [options] - TypeParser options (see TypeParser.getOptions)
+ * @returns {Promise<{ success: boolean, args?: object, error?: string }>}
+ */
+export async function extractArgsWithAI(provider, text, parameters, typeParser, options = {}) {
+    const result = await provider.complete({
+        system: buildSystemPrompt(parameters, typeParser, options),
+        messages: [{ role: 'user', content: text }],
+        temperature: 0
+    });
+
+    if (!result.success) return result;
+
+    const proposed = parseJsonObject(result.text);
+    if (!proposed) {
+        return { success: false, error: 'AI reply was not a JSON object' };
+    }
+
+    const args = {};
+    for (const [name, def] of Object.entries(parameters)) {
+        const value = proposed[name];
+        if (value === undefined || value === null || value === '') continue;
+
+        const parsed = validateValue(value, def, typeParser, options);
+        if (parsed.success) {
+            args[name] = parsed.value;
+        }
+    }
+
+    return { success: true, args };
+}
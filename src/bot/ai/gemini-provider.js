@@ -0,0 +1,56 @@
+/**
+ * Gemini Provider
+ * 
+ * Google Gemini generateContent API
+ */
+
+import axios from 'axios';
+import { handleProviderError } from './provider-error.js';
+
+export class GeminiProvider {
+    constructor(options = {}) {
+        this.name = 'gemini';
+        this.model = options.model || 'gemini-1.5-pro';
+        this.baseUrl = options.baseUrl || 'https://generativelanguage.googleapis.com/v1beta';
+
+        this.client = axios.create({
+            baseURL: this.baseUrl,
+            timeout: options.timeout || 60000,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-goog-api-key': options.apiKey
+            }
+        });
+    }
+
+    /**
+     * Generate a reply (same request shape as OpenAIProvider.complete)
+     */
+    async complete({ system, messages, temperature, maxTokens }) {
+        try {
+            const response = await this.client.post(`/models/${encodeURIComponent(this.model)}:generateContent`, {
+                ...(system && { systemInstruction: { parts: [{ text: system }] } }),
+                // Gemini calls the assistant role 'model'
+                contents: messages.map(m => ({
+                    role: m.role === 'assistant' ? 'model' : 'user',
+                    parts: [{ text: m.content }]
+                })),
+                generationConfig: {
+                    ...(temperature !== undefined && { temperature }),
+                    ...(maxTokens !== undefined && { maxOutputTokens: maxTokens })
+                }
+            });
+
+            const parts = response.data?.candidates?.[0]?.content?.parts;
+            if (!parts?.length) {
+                return { success: false, error: 'Empty response from AI provider', code: 'EMPTY_RESPONSE' };
+            }
+
+            return { success: true, text: parts.map(p => p.text || '').join('').trim() };
+        } catch (error) {
+            return handleProviderError(error, this.name);
+        }
+    }
+}
+
+export default GeminiProvider;
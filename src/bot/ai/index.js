@@ -0,0 +1,64 @@
+/**
+ * AI Providers
+ * 
+ * Provider layer for LLM calls. Every provider implements
+ * complete({ system, messages, temperature, maxTokens }) and resolves to
+ * { success: true, text } or { success: false, error, code }.
+ *
+ * Configuration comes from rootSettings.AIConfig, optionally overridden per
+ * service (e.g. the chatbot `apiKey` setting), then environment variables.
+ */
+
+import { OpenAIProvider } from './openai-provider.js';
+import { GeminiProvider } from './gemini-provider.js';
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    gemini: GeminiProvider
+};
+
+/**
+ * Merge AIConfig with non-empty overrides and environment fallbacks
+ * @param {object} aiConfig - rootSettings.AIConfig ({ provider, apiKey, model, baseUrl, systemPrompt })
+ * @param {object} overrides - Service-level values (empty values are ignored)
+ */
+export function resolveAIConfig(aiConfig = {}, overrides = {}) {
+    const config = { ...aiConfig };
+
+    for (const [key, value] of Object.entries(overrides)) {
+        if (value !== undefined && value !== null && value !== '') {
+            config[key] = value;
+        }
+    }
+
+    config.apiKey ||= process.env.AI_API_KEY || process.env.OPENAI_API_KEY;
+    config.baseUrl ||= process.env.AI_BASE_URL;
+    config.provider ||= process.env.AI_PROVIDER || inferProvider(config.model);
+
+    return config;
+}
+
+/**
+ * Guess the provider from the model name
+ */
+function inferProvider(model = '') {
+    return model.toLowerCase().startsWith('gemini') ? 'gemini' : 'openai';
+}
+
+/**
+ * Create a provider from a resolved config
+ * @returns {object|null} Provider, or null if AI is not configured
+ */
+export function createAIProvider(config) {
+    // Local OpenAI-compatible servers don't need a key, only a base URL
+    if (!config.apiKey && !config.baseUrl) return null;
+
+    const Provider = PROVIDERS[config.provider];
+    if (!Provider) {
+        throw new Error(`Unknown AI provider: ${config.provider}\nValid: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    return new Provider(config);
+}
+
+export { OpenAIProvider, GeminiProvider };
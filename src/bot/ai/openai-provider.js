@@ -0,0 +1,60 @@
+/**
+ * OpenAI Provider
+ * 
+ * Chat completions against any OpenAI-compatible API
+ * (OpenAI, Azure-style proxies, local servers such as Ollama or LM Studio)
+ */
+
+import axios from 'axios';
+import { handleProviderError } from './provider-error.js';
+
+export class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.model = options.model || 'gpt-4o-mini';
+        this.baseUrl = options.baseUrl || 'https://api.openai.com/v1';
+
+        this.client = axios.create({
+            baseURL: this.baseUrl,
+            timeout: options.timeout || 60000,
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${options.apiKey}`
+            }
+        });
+    }
+
+    /**
+     * Generate a reply
+     * @param {object} request
+     * @param {string} [request.system] - System message
+     * @param {Array<{role: string, content: string}>} request.messages - 'user' / 'assistant' turns
+     * @param {number} [request.temperature]
+     * @param {number} [request.maxTokens]
+     * @returns {Promise<{success: boolean, text?: string, error?: string}>}
+     */
+    async complete({ system, messages, temperature, maxTokens }) {
+        try {
+            const response = await this.client.post('/chat/completions', {
+                model: this.model,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    ...messages
+                ],
+                ...(temperature !== undefined && { temperature }),
+                ...(maxTokens !== undefined && { max_tokens: maxTokens })
+            });
+
+            const text = response.data?.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                return { success: false, error: 'Empty response from AI provider', code: 'EMPTY_RESPONSE' };
+            }
+
+            return { success: true, text: text.trim() };
+        } catch (error) {
+            return handleProviderError(error, this.name);
+        }
+    }
+}
+
+export default OpenAIProvider;
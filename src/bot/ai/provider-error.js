@@ -0,0 +1,33 @@
+/**
+ * Provider Error
+ * 
+ * Normalizes HTTP errors from AI providers into { success: false, error, code }
+ * (same result shape as WhatsAppClient)
+ */
+
+export function handleProviderError(error, providerName) {
+    if (error.response) {
+        const data = error.response.data;
+        // OpenAI and Gemini both use { error: { message } }; some proxies use { message }
+        const message = data?.error?.message || data?.message || 'API Error';
+
+        return {
+            success: false,
+            error: `${providerName}: ${message}`,
+            code: error.response.status,
+            data
+        };
+    } else if (error.request) {
+        return {
+            success: false,
+            error: `No response from ${providerName} API`,
+            code: 'NO_RESPONSE'
+        };
+    } else {
+        return {
+            success: false,
+            error: error.message,
+            code: 'REQUEST_ERROR'
+        };
+    }
+}
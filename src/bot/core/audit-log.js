@@ -0,0 +1,150 @@
+/**
+ * Audit Log
+ *
+ * Append-only record of privileged and state-changing commands: every admin and
+ * root command, and service commands flagged `"audited": true` in service.json.
+ * MessageRouter.executeCommand records each run with who ran it and how it went.
+ * Admins read their chat's entries with `.admin audit`, root all chats' with `.root audit`.
+ * Entries are persisted through StateManager and never changed or deleted;
+ * values of secret settings (API keys, tokens, ...) are redacted before recording.
+ */
+
+import crypto from 'crypto';
+import { formatDateTime } from '../utils/time-zone.js';
+
+// Entries shown by one audit command, newest first
+const DEFAULT_LIMIT = 20;
+
+// Settings whose values are never recorded (AIConfig.apiKey, a service's apiKey, ...)
+const SECRET_SETTING = /(api_?key|secret|token|password)$/i;
+const REDACTED = '[redacted]';
+
+export class AuditLog {
+    /**
+     * @param {object} options
+     * @param {StateManager} options.stateManager
+     * @param {ServiceLoader} options.serviceLoader
+     */
+    constructor(options = {}) {
+        this.stateManager = options.stateManager;
+        this.serviceLoader = options.serviceLoader;
+    }
+
+    /**
+     * Check whether runs of a parsed command are recorded
+     */
+    isAudited(parsed) {
+        if (parsed.type === 'admin' || parsed.type === 'root') return true;
+        if (parsed.type !== 'service') return false;
+
+        return this.serviceLoader.getCommandDefinition(parsed.service, parsed.command)?.audited === true;
+    }
+
+    /**
+     * Record a command run
+     * @param {object} context - Message context
+     * @param {object} parsed - Parsed command
+     * @param {object|null} response - Response the command produced (isError marks a failure)
+     * @returns {Promise<object>} The entry
+     */
+    async record(context, parsed, response) {
+        const entry = {
+            id: Date.now().toString() + crypto.randomBytes(4).toString('hex'),
+            chatId: context.chatId,
+            userId: context.userId,
+            ...(context.impersonatedBy && { impersonatedBy: context.impersonatedBy }),
+            ...(context.job && { jobId: context.job.id }),
+            type: parsed.type,
+            ...(parsed.service && { service: parsed.service }),
+            command: parsed.command,
+            args: redactArgs(parsed.args || {}),
+            success: !response?.isError,
+            ...(response?.isError && { error: response.text }),
+            createdAt: new Date().toISOString()
+        };
+
+        await this.stateManager.addAuditEntry(entry);
+        return entry;
+    }
+
+    /**
+     * List entries, newest first
+     * @param {object} [filters]
+     * @param {string} [filters.chatId]
+     * @param {string} [filters.userId] - Who ran the command
+     * @param {string} [filters.command] - Command or service name (case-insensitive)
+     * @param {string} [filters.since] - ISO date of the oldest entry
+     * @param {number} [filters.limit]
+     */
+    async list(filters = {}) {
+        return this.stateManager.getAuditEntries({ limit: DEFAULT_LIMIT, ...filters });
+    }
+
+    /**
+     * Format entries as chat lines ("2026-10-19 14:05 Ali: admin addRoles exp kid parent")
+     * @param {object[]} entries
+     * @param {object} [options]
+     * @param {string} [options.timeZone]
+     * @param {boolean} [options.withChat] - Prefix each line with its chat (entries of several chats)
+     */
+    async format(entries, { timeZone, withChat = false } = {}) {
+        const lines = [];
+
+        for (const entry of entries) {
+            let who = await this.stateManager.resolveUserName(entry.chatId, entry.userId);
+            if (entry.impersonatedBy) {
+                who += ` (by ${await this.stateManager.resolveUserName(entry.chatId, entry.impersonatedBy)})`;
+            } else if (entry.jobId) {
+                who += ' (scheduled)';
+            }
+
+            const scope = entry.type === 'service' ? entry.service : entry.type;
+            // Entries recorded before secrets were redacted
+            const args = Object.values(redactArgs(entry.args || {})).filter(value => value !== null && value !== undefined).map(formatArg);
+
+            let line = `${formatDateTime(entry.createdAt, timeZone)} ${who}: ${[scope, entry.command, ...args].join(' ')}`;
+            if (withChat) line = `[${entry.chatId}] ${line}`;
+            if (!entry.success) line += ` ❌ ${entry.error}`;
+            lines.push(line);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Arguments with the values of secret settings replaced, both when set directly
+ * (setSetting AIConfig.apiKey sk-...) and inside a command run for someone (executeAs)
+ */
+function redactArgs(args) {
+    const redacted = {};
+
+    for (const [name, value] of Object.entries(args)) {
+        if (typeof value !== 'string') {
+            redacted[name] = value;
+            continue;
+        }
+        // Words at even indexes, the whitespace between them at odd ones
+        const parts = value.split(/(\s+)/);
+        for (let i = 2; i < parts.length; i += 2) {
+            if (SECRET_SETTING.test(parts[i - 2].split('.').pop())) parts[i] = REDACTED;
+        }
+        redacted[name] = parts.join('');
+    }
+
+    const setting = typeof args.setting === 'string' ? args.setting.split('.').pop() : null;
+    if (setting && SECRET_SETTING.test(setting) && args.value !== undefined && args.value !== null) {
+        redacted.value = REDACTED;
+    }
+
+    return redacted;
+}
+
+function formatArg(value) {
+    if (Array.isArray(value)) return value.map(formatArg).join(',');
+    // Media descriptions (see utils/message-content.js)
+    if (typeof value === 'object') return `[${value.type || 'object'}]`;
+    return String(value);
+}
+
+export default AuditLog;
@@ -7,6 +7,8 @@
 import { ServiceLoader } from './service-loader.js';
 import { StateManager } from './state-manager.js';
 import { MessageRouter } from './message-router.js';
+import { OutboundQueue } from './outbound-queue.js';
+import { Scheduler } from './scheduler.js';
 import { WhatsAppClient } from '../utils/whatsapp-client.js';
 
 export class Bot {
@@ -21,7 +23,9 @@ export class Bot {
         });
 
         this.stateManager = new StateManager({
+            adapter: options.stateAdapter || process.env.STATE_ADAPTER,
             dbUri: options.dbUri || process.env.MONGODB_URI,
+            stateFile: options.stateFile || process.env.STATE_FILE,
             initialRootId: options.initialRootId || process.env.INITIAL_ROOT_ID
         });
 
@@ -30,7 +34,19 @@ export class Bot {
             deviceId: options.deviceId || process.env.WHATSAPP_DEVICE_ID
         });
 
+        // Replies and handler messages are sent through the queue
+        this.outboundQueue = new OutboundQueue({
+            stateManager: this.stateManager,
+            whatsappClient: this.whatsappClient,
+            limits: {
+                chatRateLimit: numberOption(options.chatRateLimit ?? process.env.OUTBOX_CHAT_RATE_LIMIT),
+                globalRateLimit: numberOption(options.globalRateLimit ?? process.env.OUTBOX_GLOBAL_RATE_LIMIT),
+                maxAttempts: numberOption(options.maxSendAttempts ?? process.env.OUTBOX_MAX_ATTEMPTS)
+            }
+        });
+
         this.messageRouter = null;
+        this.scheduler = null;
     }
 
     /**
@@ -46,7 +62,7 @@ export class Bot {
         // Load services and handlers
         await this.serviceLoader.load();
 
-        // Connect to database and initialize state
+        // Connect state adapter and initialize state
         this.stateManager.serviceLoader = this.serviceLoader;
         await this.stateManager.connect();
 
@@ -54,8 +70,26 @@ export class Bot {
         this.messageRouter = new MessageRouter({
             serviceLoader: this.serviceLoader,
             stateManager: this.stateManager,
-            whatsappClient: this.whatsappClient
+            whatsappClient: this.whatsappClient,
+            outboundQueue: this.outboundQueue
+        });
+
+        // Scheduled jobs run through the router and send through the queue
+        this.scheduler = new Scheduler({
+            serviceLoader: this.serviceLoader,
+            stateManager: this.stateManager,
+            messageRouter: this.messageRouter
         });
+        this.messageRouter.setScheduler(this.scheduler);
+
+        // Long-running servers can run due jobs themselves; otherwise call POST /api/bot/scheduler
+        const schedulerInterval = numberOption(this.options.schedulerInterval ?? process.env.SCHEDULER_INTERVAL);
+        if (schedulerInterval > 0) {
+            this.scheduler.start(schedulerInterval * 1000);
+        }
+
+        // Flag handlers calling context methods that don't exist
+        this.serviceLoader.checkHandlers(this.messageRouter.getContextApi());
 
         this.initialized = true;
         console.log('✅ Bot initialized successfully');
@@ -67,6 +101,9 @@ export class Bot {
     async handleWebhook(webhookData) {
         if (!this.initialized) {
             await this.initialize();
+        } else {
+            // Root state may have been changed by another instance since it was loaded
+            await this.stateManager.refreshState();
         }
 
         const { event, payload, device_id } = webhookData;
@@ -89,22 +126,29 @@ export class Bot {
         // Route and process the message
         const response = await this.messageRouter.route(webhookData);
 
-        // Send response if any
-        if (response && response.text) {
-            const result = await this.whatsappClient.sendReply(
-                response.chatId,
-                response.text,
-                response.replyTo
-            );
+        // Send response if any (typed messages in order, or plain text)
+        const messages = response?.messages ||
+            (response?.text ? [{ type: 'text', text: response.text, replyTo: response.replyTo }] : []);
+
+        if (messages.length > 0) {
+            const deliveries = [];
+            for (const message of messages) {
+                deliveries.push(await this.outboundQueue.enqueue({ ...message, chatId: response.chatId }));
+            }
+
+            // Retry anything still due from earlier messages
+            await this.outboundQueue.flush();
 
             return {
                 handled: true,
                 response,
-                sent: result.success,
-                details: result
+                sent: deliveries.every(delivery => delivery.status === 'sent'),
+                deliveries
             };
         }
 
+        await this.outboundQueue.flush();
+
         return {
             handled: !!response,
             reason: response ? undefined : 'no_response_from_router'
@@ -180,7 +224,8 @@ export class Bot {
                 enabled: rootSettings?.status !== 'paused',
                 services: services.length,
                 serviceNames: services
-            }
+            },
+            outbox: await this.outboundQueue.getStats()
         };
     }
 
@@ -204,6 +249,28 @@ export class Bot {
     getWhatsAppClient() {
         return this.whatsappClient;
     }
+
+    /**
+     * Get outbound queue (for external access)
+     */
+    getOutboundQueue() {
+        return this.outboundQueue;
+    }
+
+    /**
+     * Get scheduler (for external access)
+     */
+    getScheduler() {
+        return this.scheduler;
+    }
+}
+
+/**
+ * Parse a numeric option (env values are strings); empty means unset
+ */
+function numberOption(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    return Number(value);
 }
 
 // Singleton instance
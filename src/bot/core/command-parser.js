@@ -7,10 +7,13 @@
 
 import { TypeParser } from './type-parser.js';
 
+// Longest value read from separate words ("25 dec 2026 18:00", "+91 98765 43210")
+const MAX_VALUE_WORDS = 4;
+
 export class CommandParser {
     constructor(serviceLoader) {
         this.serviceLoader = serviceLoader;
-        this.typeParser = new TypeParser();
+        this.typeParser = new TypeParser(serviceLoader);
     }
 
     /**
@@ -51,13 +54,20 @@ export class CommandParser {
 
         const commands = [];
 
-        for (const line of lines) {
+        for (const [index, line] of lines.entries()) {
             const match = line.match(prefixRegex);
             if (match) {
                 const commandPart = match[1].trim();
                 const parsed = this.parseCommandString(commandPart, context, isLocal);
                 if (parsed) {
                     commands.push(parsed);
+
+                    // Free-form AI-read commands take the rest of the message as their text
+                    if (parsed.readWithAI) {
+                        const rest = lines.slice(index + 1);
+                        parsed.rawArgs = [parsed.rawArgs, ...rest].filter(Boolean).join('\n');
+                        break;
+                    }
                 }
             } else {
                 // Line has no prefix - try args-only
@@ -106,11 +116,12 @@ export class CommandParser {
             return null;
         }
 
-        // Parse the line as arguments for this command
-        const args = this.parseArguments(line, command);
+        // Parse the line as arguments for this command (with the service's own types)
+        const serviceContext = { ...context, service: argsOnlyCmdSetting.service };
+        const args = this.parseArguments(line, command, serviceContext);
 
         // Validate that required arguments match expected types
-        const validation = this.validateArgs(args, command);
+        const validation = this.validateArgs(args, command, 0, serviceContext);
         if (!validation.valid) {
             return null;
         }
@@ -151,9 +162,10 @@ export class CommandParser {
 
         parts[0] = parts[0].toLowerCase();
 
-        // Check if it is local
-        if ((parts[0] === localPrefix.toLowerCase()) === isLocal) parts.shift();
-        else return null;
+        // Local mode only answers commands marked local, other instances ignore them
+        const isLocalCommand = parts[0] === localPrefix.toLowerCase();
+        if (isLocalCommand !== isLocal) return null;
+        if (isLocalCommand) parts.shift();
 
         // Check for root command
         if (parts[0] === rootPrefix.toLowerCase()) {
@@ -171,6 +183,11 @@ export class CommandParser {
             return builtinResult;
         }
 
+        // Commands run on someone's behalf name their service (e.g. "exp add 50 apples", see executeAs)
+        if (context.impersonatedBy && this.serviceLoader.getService(parts[0])) {
+            return this.parseServiceCommand(parts[0], parts.slice(1), context);
+        }
+
         // Check for service command with prefix disabled
         if (disableServicePrefix) {
             const service = this.serviceLoader.getService(disableServicePrefix);
@@ -199,7 +216,7 @@ export class CommandParser {
             return { type: 'root', command: inputCommand, args: {}, error: `Unknown root command: ${inputCommand}` };
         }
 
-        const args = this.parseArgumentsFromParts(parts.slice(1), command);
+        const args = this.parseArgumentsFromParts(parts.slice(1), command, context);
 
         return {
             type: 'root',
@@ -229,7 +246,7 @@ export class CommandParser {
             return { type: 'admin', command: inputCommand, args: {}, error: `Unknown admin command: ${inputCommand}` };
         }
 
-        const args = this.parseArgumentsFromParts(parts.slice(1), command);
+        const args = this.parseArgumentsFromParts(parts.slice(1), command, context);
 
         return {
             type: 'admin',
@@ -255,7 +272,7 @@ export class CommandParser {
             return null;
         }
 
-        const args = this.parseArgumentsFromParts(parts.slice(1), command);
+        const args = this.parseArgumentsFromParts(parts.slice(1), command, context);
 
         return {
             type: 'builtin',
@@ -295,7 +312,7 @@ export class CommandParser {
             };
         }
 
-        const args = this.parseArgumentsFromParts(parts.slice(1), command);
+        const args = this.parseArgumentsFromParts(parts.slice(1), command, { ...context, service: serviceName });
 
         return {
             type: 'service',
@@ -304,7 +321,8 @@ export class CommandParser {
             args,
             rawArgs: parts.slice(1).join(' '),
             interactive: command.interactive !== false,
-            oneCmdPerMsg: service.oneCmdPerMsg || false
+            oneCmdPerMsg: service.oneCmdPerMsg || false,
+            readWithAI: command.AIConfig?.readWithAI === true
         };
     }
 
@@ -366,7 +384,7 @@ export class CommandParser {
     /**
      * Re-parse arguments with a specific syntax index
      */
-    reparseArgs(parsed, syntaxIndex) {
+    reparseArgs(parsed, syntaxIndex, context = {}) {
         const { type, service, command, rawArgs } = parsed;
 
         let commandDef;
@@ -387,25 +405,27 @@ export class CommandParser {
         const parameters = syntaxes[syntaxIndex]?.parameters || {};
 
         const parts = this.tokenize(rawArgs || '');
-        return this.parseArgumentsByDefinition(parts, parameters);
+        return this.parseArgumentsByDefinition(parts, parameters, { ...context, service });
     }
 
     /**
      * Parse arguments from tokenized parts
      */
-    parseArgumentsFromParts(parts, commandDef) {
+    parseArgumentsFromParts(parts, commandDef, context = {}) {
         // Get parameter definitions from the first syntax or command syntax
         const syntaxes = commandDef.syntaxes || [{ parameters: commandDef.syntax?.parameters || {} }];
         const parameters = syntaxes[0]?.parameters || {};
 
-        return this.parseArgumentsByDefinition(parts, parameters);
+        return this.parseArgumentsByDefinition(parts, parameters, context);
     }
 
     /**
      * Parse arguments by definition
      */
-    parseArgumentsByDefinition(parts, parameters) {
-        const paramNames = Object.keys(parameters);
+    parseArgumentsByDefinition(parts, parameters, context = {}) {
+        const options = this.typeParser.getOptions(context);
+        // Media parameters come from the message's attachment (see MessageRouter.attachMediaArgs)
+        const paramNames = Object.keys(parameters).filter(name => !this.typeParser.isMediaType(parameters[name].type));
         const args = {};
         let partIndex = 0;
 
@@ -430,16 +450,21 @@ export class CommandParser {
             // If last parameter is a string type, consume all remaining parts
             if (isLast && (paramDef.type === 'string' || paramDef.type === 'Arguments')) {
                 const remaining = parts.slice(partIndex).join(' ');
-                const parsed = this.typeParser.parse(remaining, paramDef.type, paramDef);
+                const parsed = this.typeParser.parse(remaining, paramDef.type, paramDef, options);
                 args[paramName] = parsed.success ? parsed.value : remaining;
+            } else if (this.typeParser.isMultiWordType(paramDef.type)) {
+                // "next fri", "Ali Khan,Bob": take the longest run of words that reads as one value
+                const taken = this.parseMultiWordParts(parts, partIndex, paramDef, options);
+                args[paramName] = taken.value;
+                partIndex += taken.count;
             } else if (paramDef.isList) {
                 // For list types, consume current part (comma-separated)
-                const parsed = this.typeParser.parse(parts[partIndex], paramDef.type, paramDef);
+                const parsed = this.typeParser.parse(parts[partIndex], paramDef.type, paramDef, options);
                 args[paramName] = parsed.success ? parsed.value : parts[partIndex];
                 partIndex++;
             } else {
                 // Single value
-                const parsed = this.typeParser.parse(parts[partIndex], paramDef.type, paramDef);
+                const parsed = this.typeParser.parse(parts[partIndex], paramDef.type, paramDef, options);
                 args[paramName] = parsed.success ? parsed.value : parts[partIndex];
                 partIndex++;
             }
@@ -448,12 +473,28 @@ export class CommandParser {
         return args;
     }
 
+    /**
+     * Read a value of a multi-word type from up to MAX_VALUE_WORDS parts
+     * @returns {{ value: any, count: number }} Parsed value (or the raw part) and parts used
+     */
+    parseMultiWordParts(parts, start, paramDef, options) {
+        const longest = Math.min(MAX_VALUE_WORDS, parts.length - start);
+
+        for (let count = longest; count > 1; count--) {
+            const parsed = this.typeParser.parse(parts.slice(start, start + count).join(' '), paramDef.type, paramDef, options);
+            if (parsed.success) return { value: parsed.value, count };
+        }
+
+        const parsed = this.typeParser.parse(parts[start], paramDef.type, paramDef, options);
+        return { value: parsed.success ? parsed.value : parts[start], count: 1 };
+    }
+
     /**
      * Parse arguments from a raw string (for args-only mode)
      */
-    parseArguments(rawStr, commandDef) {
+    parseArguments(rawStr, commandDef, context = {}) {
         const parts = this.tokenize(rawStr);
-        return this.parseArgumentsFromParts(parts, commandDef);
+        return this.parseArgumentsFromParts(parts, commandDef, context);
     }
 
     /**
@@ -476,26 +517,42 @@ export class CommandParser {
     /**
      * Validate parsed arguments against command definition
      */
-    validateArgs(args, commandDef, syntaxIndex = 0) {
+    validateArgs(args, commandDef, syntaxIndex = 0, context = {}) {
         const syntaxes = commandDef.syntaxes || [{ parameters: commandDef.syntax?.parameters || {} }];
         const parameters = syntaxes[syntaxIndex]?.parameters || {};
         const errors = [];
 
         for (const [name, def] of Object.entries(parameters)) {
-            if (args[name] === undefined || args[name] === null) {
-                if (!def.optional && def.default === undefined) {
-                    errors.push({ param: name, error: 'Required parameter missing' });
-                }
-                continue;
+            if ((args[name] === undefined || args[name] === null) && !def.optional && def.default === undefined) {
+                errors.push({ param: name, error: 'Required parameter missing' });
             }
+        }
 
-            const parsed = this.typeParser.parse(args[name], def.type, def);
+        errors.push(...this.getInvalidArgs(args, commandDef, syntaxIndex, context));
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Get given arguments that don't fit their type or constraints (missing ones aren't checked)
+     * @returns {{ param: string, error: string }[]}
+     */
+    getInvalidArgs(args, commandDef, syntaxIndex = 0, context = {}) {
+        const syntaxes = commandDef.syntaxes || [{ parameters: commandDef.syntax?.parameters || {} }];
+        const parameters = syntaxes[syntaxIndex]?.parameters || {};
+        const errors = [];
+
+        for (const [name, def] of Object.entries(parameters)) {
+            // Defaults come from the definition, not the user
+            if (args[name] === undefined || args[name] === null || args[name] === def.default) continue;
+
+            const parsed = this.typeParser.parse(args[name], def.type, def, this.typeParser.getOptions(context));
             if (!parsed.success) {
                 errors.push({ param: name, error: parsed.error });
             }
         }
 
-        return { valid: errors.length === 0, errors };
+        return errors;
     }
 }
 
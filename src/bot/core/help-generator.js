@@ -4,10 +4,13 @@
  * Generates dynamic help text from JSON command definitions
  */
 
+import { TypeParser } from './type-parser.js';
+
 export class HelpGenerator {
     constructor(serviceLoader, stateManager = null) {
         this.serviceLoader = serviceLoader;
         this.stateManager = stateManager;
+        this.typeParser = new TypeParser(serviceLoader);
     }
 
     /**
@@ -105,10 +108,19 @@ export class HelpGenerator {
         }
         help += '\n\n';
 
+        // Role hierarchy
+        const inheritance = Object.entries(service.roleInheritance || {});
+        if (inheritance.length) {
+            help += `_${inheritance.map(([role, inherited]) => `${role} inherits ${[].concat(inherited).join(', ')}`).join('; ')}_\n\n`;
+        }
+
+        // Roles given to the user bring the roles they inherit
+        const roles = this.serviceLoader.expandRoles(serviceName, userRoles);
+
         // Commands - simple list
         if (service.commands) {
             for (const [name, cmd] of Object.entries(service.commands)) {
-                const accessible = this.isCommandAccessible(cmd, userRoles);
+                const accessible = this.isCommandAccessible(cmd, roles);
                 const icon = accessible ? '' : '[locked] ';
                 const isDefaultCmd = isArgsOnlyService && argsOnlyCmd === name;
                 const defalt = isDefaultCmd ? ' (default)' : '';
@@ -184,7 +196,7 @@ export class HelpGenerator {
             }
 
             if (syntax.allowedRoles) {
-                help += `*Roles:* ${syntax.allowedRoles.join(', ')}\n`;
+                help += `*Roles:* ${this.describeRoles(syntax.allowedRoles, syntaxes, scope === 'service' ? serviceName : null)}\n`;
             }
 
             if (syntax.parameters && Object.keys(syntax.parameters).length > 0) {
@@ -193,8 +205,9 @@ export class HelpGenerator {
                 for (const [pName, pDef] of Object.entries(syntax.parameters)) {
                     const required = !pDef.optional ? '' : '?';
                     const isList = pDef.isList ? 'Comma separated list of ' : '';
+                    const constraints = this.typeParser.describeConstraints(pDef.type, pDef, serviceName);
 
-                    help += `- *${pName}*${required} (${isList}${pDef.type.replace('|', ' or ')})`;
+                    help += `- *${pName}*${required} (${isList}${pDef.type.replace('|', ' or ')}${constraints ? `; ${constraints}` : ''})`;
                     if (pDef.description) {
                         help += ` - ${pDef.description}`;
                     }
@@ -226,11 +239,12 @@ export class HelpGenerator {
         }
 
         const firstSyntax = syntaxes[0];
-        const params = firstSyntax?.parameters
-            ? Object.entries(firstSyntax.parameters)
-                .map(([pName, pDef]) => pDef.optional ? `[${pName}]` : `<${pName}>`)
-                .join(' ')
-            : '';
+        const paramEntries = Object.entries(firstSyntax?.parameters || {});
+        const textParams = paramEntries.filter(([, pDef]) => !this.typeParser.isMediaType(pDef.type));
+        const mediaParams = paramEntries.filter(([, pDef]) => this.typeParser.isMediaType(pDef.type));
+        const params = textParams
+            .map(([pName, pDef]) => pDef.optional ? `[${pName}]` : `<${pName}>`)
+            .join(' ');
 
         help += `\n*Usage:* \`${prefix} ${commandName}${params ? ' ' + params : ''}\``;
 
@@ -243,6 +257,12 @@ export class HelpGenerator {
             help += `\nor \`${params}\` _(just args)_`;
         }
 
+        // Media params aren't typed: they come from the file the command is sent with
+        if (mediaParams.length > 0) {
+            const names = mediaParams.map(([pName, pDef]) => `${pName} (${pDef.type})`).join(', ');
+            help += `\n\n_Attach ${names} to the message and write the command as its caption_`;
+        }
+
         // Interactive note
         if (commandDef.interactive !== false) {
             help += '\n\n_Supports interactive mode - omit params to be prompted_';
@@ -251,6 +271,27 @@ export class HelpGenerator {
         return help;
     }
 
+    /**
+     * List the roles allowed a syntax, adding the roles that inherit them
+     * (unless another syntax of the command is meant for those roles)
+     */
+    describeRoles(allowedRoles, syntaxes, serviceName = null) {
+        if (!serviceName) return allowedRoles.join(', ');
+
+        const ownSyntaxRoles = syntaxes.flatMap(syntax => syntax.allowedRoles || []);
+        const inheriting = new Map();
+        for (const role of allowedRoles) {
+            for (const name of this.serviceLoader.getInheritingRoles(serviceName, role)) {
+                if (!ownSyntaxRoles.includes(name) && !inheriting.has(name)) inheriting.set(name, role);
+            }
+        }
+
+        return [
+            ...allowedRoles,
+            ...[...inheriting].map(([name, role]) => `${name} (inherits ${role})`)
+        ].join(', ');
+    }
+
     /**
      * Check if command is accessible to user roles
      */
@@ -311,7 +352,8 @@ export class HelpGenerator {
 
         for (const [name, def] of Object.entries(settings)) {
             help += `- \`${name}\`\n`;
-            help += `  Type: ${def.type}\n`;
+            const constraints = this.typeParser.describeConstraints(def.type, def, serviceName);
+            help += `  Type: ${def.type}${constraints ? ` (${constraints})` : ''}\n`;
             if (def.description) {
                 help += `  ${def.description}\n`;
             }
@@ -8,23 +8,39 @@
 import { CommandParser } from './command-parser.js';
 import { PermissionManager } from './permission-manager.js';
 import { SessionManager } from './session-manager.js';
-import { StorageManager } from './storage-manager.js';
+import { StorageManager, StorageValidationError } from './storage-manager.js';
 import { HelpGenerator } from './help-generator.js';
+import { AuditLog } from './audit-log.js';
+import { validateMessage } from './outbound-queue.js';
+import { describeMessage, describeReferences } from '../utils/message-content.js';
+import { createAIProvider, resolveAIConfig } from '../ai/index.js';
+import { extractArgsWithAI } from '../ai/extract-args.js';
 
 export class MessageRouter {
     constructor(options = {}) {
         this.serviceLoader = options.serviceLoader;
         this.stateManager = options.stateManager;
         this.whatsappClient = options.whatsappClient;
+        this.outboundQueue = options.outboundQueue;
 
         this.commandParser = new CommandParser(this.serviceLoader);
-        this.permissionManager = new PermissionManager(this.stateManager);
+        this.permissionManager = new PermissionManager(this.stateManager, this.serviceLoader);
         this.sessionManager = new SessionManager(this.stateManager);
-        this.storageManager = new StorageManager(this.stateManager);
+        this.storageManager = new StorageManager(this.stateManager, this.serviceLoader);
         this.helpGenerator = new HelpGenerator(this.serviceLoader, this.stateManager);
+        this.auditLog = new AuditLog({ stateManager: this.stateManager, serviceLoader: this.serviceLoader });
 
         // Give sessionManager access to serviceLoader for interactive context
         this.sessionManager.setServiceLoader(this.serviceLoader);
+
+        this.scheduler = null;
+    }
+
+    /**
+     * Set scheduler reference (it runs jobs through this router, so is created after it)
+     */
+    setScheduler(scheduler) {
+        this.scheduler = scheduler;
     }
 
     /**
@@ -37,8 +53,16 @@ export class MessageRouter {
 
 
         try {
-            // Check for active interactive session first
-            const sessionResult = await this.handleSessionResponse(context);
+            // Bring service storage up to date before any handler reads it
+            await this.stateManager.migrateChat(context.chatId);
+
+            // Relative dates and times in arguments ("tomorrow 3pm") are read in the chat's time zone
+            context.timeZone = await this.stateManager.getChatTimeZone(context.chatId);
+            // Users in arguments can be given by the name an admin set for them (see admin setName)
+            context.displayNames = await this.stateManager.getUserDisplayNames(context.chatId);
+
+            // Check for active interactive session first (scheduled commands aren't answers)
+            const sessionResult = this.canPrompt(context) && await this.handleSessionResponse(context);
             if (sessionResult) {
                 return sessionResult;
             }
@@ -52,11 +76,11 @@ export class MessageRouter {
 
             // Handle multiple commands in one message
             if (Array.isArray(parsed)) {
-                return this.executeMultipleCommands(context, parsed);
+                return await this.executeMultipleCommands(context, parsed);
             }
 
             // Handle single command
-            return this.executeSingleCommand(context, parsed);
+            return await this.executeSingleCommand(context, parsed);
 
         } catch (error) {
             console.error('Error routing message:', error);
@@ -92,7 +116,7 @@ export class MessageRouter {
             parsed.syntaxIndex = permission.syntaxIndex;
             // Re-parse arguments with the correct syntax
             if (parsed.rawArgs && parsed.syntaxIndex > 0) {
-                parsed.args = this.commandParser.reparseArgs(parsed, permission.syntaxIndex);
+                parsed.args = this.commandParser.reparseArgs(parsed, permission.syntaxIndex, context);
             }
         }
 
@@ -174,7 +198,7 @@ export class MessageRouter {
                 parsed.syntaxIndex = permission.syntaxIndex;
                 // Re-parse arguments with the correct syntax
                 if (parsed.rawArgs && parsed.syntaxIndex > 0) {
-                    parsed.args = this.commandParser.reparseArgs(parsed, permission.syntaxIndex);
+                    parsed.args = this.commandParser.reparseArgs(parsed, permission.syntaxIndex, context);
                 }
             }
 
@@ -184,6 +208,7 @@ export class MessageRouter {
                 if (result) {
                     responses.push({
                         text: result.text,
+                        messages: result.messages,
                         service: parsed.service,
                         command: parsed.command,
                         processed: true
@@ -204,14 +229,26 @@ export class MessageRouter {
             if (r.error) {
                 return this.createErrorResponse(context, r.error);
             }
-            return this.createResponse(context, r.text);
+            return this.createResponse(context, r.text, r.messages ? { messages: r.messages } : {});
         }
 
-        const anyMultiLine = responses.some(r => (r.error || r.text || '').includes('\n'));
+        const textResponses = responses.filter(r => r.error || r.text);
+        const anyMultiLine = textResponses.some(r => (r.error || r.text).includes('\n'));
         const separator = anyMultiLine ? '\n---\n' : '\n';
-        const combinedText = responses.map(r => r.error || r.text).join(separator);
+        const combinedText = textResponses.map(r => r.error || r.text).join(separator);
 
-        return this.createResponse(context, combinedText);
+        // Rich messages (images, polls, ...) follow the combined text
+        const richMessages = responses.flatMap(r => (r.messages || []).filter(m => m.type !== 'text'));
+        if (richMessages.length === 0) {
+            return this.createResponse(context, combinedText);
+        }
+
+        return this.createResponse(context, combinedText, {
+            messages: [
+                ...(combinedText ? [{ type: 'text', text: combinedText, replyTo: context.messageId }] : []),
+                ...richMessages
+            ]
+        });
     }
 
     /**
@@ -221,23 +258,54 @@ export class MessageRouter {
         const payload = message.payload;
         const chatId = payload?.chat_id;
         const isGroup = chatId?.endsWith('@g.us');
+        const { messageType, media, location, contact, pollVote } = describeMessage(payload);
+        const { mentions, repliedToUser } = describeReferences(payload);
+
+        // Downloaded on first use and only once
+        let download = null;
+        const downloadMedia = () => {
+            if (!media) return Promise.resolve({ success: false, error: 'Message has no media', code: 'NO_MEDIA' });
+            download ??= this.whatsappClient.downloadMedia(payload.id, chatId);
+            return download;
+        };
 
         return {
             messageId: payload?.id,
             chatId,
             userId: payload?.from,
             userName: payload?.from_name,
-            body: payload?.body || '',
+            // Captions of media messages can carry commands too
+            body: payload?.body || media?.caption || '',
+            messageType,
+            media,
+            location,
+            contact,
+            pollVote,
+            downloadMedia,
             timestamp: payload?.timestamp,
             isGroup,
             isPrivate: !isGroup,
             repliedToId: payload?.replied_to_id,
             quotedBody: payload?.quoted_body,
+            repliedToUser,
+            mentions,
             whatsappGroupAdmins: [],
-            userRoles: []
+            userRoles: [],
+            // Set when a scheduled job runs the message (see Scheduler)
+            job: message.job || null,
+            // Root user running the message on the sender's behalf (see executeAs)
+            impersonatedBy: message.impersonatedBy || null
         };
     }
 
+    /**
+     * Whether the sender is there to answer prompts: not for scheduled commands
+     * or ones root runs on their behalf
+     */
+    canPrompt(context) {
+        return !context.job && !context.impersonatedBy;
+    }
+
     /**
      * Parse message with full context
      */
@@ -247,13 +315,20 @@ export class MessageRouter {
         const adminSettings = await this.stateManager.getChatSettings(context.chatId);
         const installedServices = await this.stateManager.getInstalledServices(context.chatId);
 
-        return this.commandParser.parse(context.body, {
+        const parseContext = {
             ...context,
             isLocal,
             rootSettings,
             adminSettings,
             installedServices
-        });
+        };
+
+        // Commands run on someone's behalf are given without prefixes (see executeAs)
+        if (context.impersonatedBy) {
+            return this.commandParser.parseCommandString(context.body, parseContext, false);
+        }
+
+        return this.commandParser.parse(context.body, parseContext);
     }
 
     /**
@@ -262,7 +337,8 @@ export class MessageRouter {
     async handleSessionResponse(context) {
         const result = await this.sessionManager.handleResponse(context.body, context);
 
-        if (result.action === 'no_session') {
+        // A reply other than yes or no drops a confirmation and is routed as usual
+        if (result.action === 'no_session' || result.action === 'declined') {
             return null;
         }
 
@@ -270,34 +346,38 @@ export class MessageRouter {
             return this.createResponse(context, '_Cancelled_');
         }
 
+        // Votes for other polls, and multiple choice votes awaiting "done", need no reply
+        if (result.action === 'ignored' || result.action === 'selected') {
+            return null;
+        }
+
         // Build execution context for interactive context handlers
         const execContext = await this.buildExecContext(context, result.session);
 
         if (result.action === 'skipped') {
-            // Get next prompt with interactive context
-            const commandDef = this.getCommandDefinition(result.session);
-            const contextMessage = await this.sessionManager.getInteractiveContext(result.session, execContext);
-            const prompt = this.sessionManager.generatePrompt(result.session, commandDef, contextMessage);
-            return this.createResponse(context, `_skipped_\n\n${prompt}`);
+            return this.createPromptResponse(context, result.session, execContext, '_skipped_\n\n');
+        }
+
+        if (result.action === 'invalid') {
+            // Ask for the same argument again
+            return this.createPromptResponse(context, result.session, execContext, `_${result.error}_\n\n`);
         }
 
         if (result.action === 'continue') {
-            // Get next prompt with interactive context - just the prompt, no extra text
-            const commandDef = this.getCommandDefinition(result.session);
-            const contextMessage = await this.sessionManager.getInteractiveContext(result.session, execContext);
-            const prompt = this.sessionManager.generatePrompt(result.session, commandDef, contextMessage);
-            return this.createResponse(context, prompt);
+            // Just the next prompt, no extra text
+            return this.createPromptResponse(context, result.session, execContext);
         }
 
-        if (result.action === 'complete') {
-            // Execute the completed command
+        if (result.action === 'complete' || result.action === 'confirmed') {
+            // Execute the completed (or confirmed) command
             const session = result.session;
             const parsed = {
                 type: session.type,
                 service: session.service,
                 command: session.command,
                 args: session.collectedArgs,
-                syntaxIndex: session.syntaxIndex
+                syntaxIndex: session.syntaxIndex,
+                ...(result.action === 'confirmed' && { confirmed: true, interactive: false })
             };
 
             // Set userRoles on context for the handler
@@ -337,22 +417,9 @@ export class MessageRouter {
 
         const service = session.service;
 
-        // Create scoped storage helpers (auto-inject chatId and service)
-        const scopedStorage = {
-            addItem: (storageName, item) => this.storageManager.addItem(context.chatId, service, storageName, item),
-            getStorage: (storageName) => this.storageManager.getStorage(context.chatId, service, storageName),
-            updateItem: (storageName, itemId, updates) => this.storageManager.updateItem(context.chatId, service, storageName, itemId, updates),
-            deleteItem: (storageName, itemId) => this.storageManager.deleteItem(context.chatId, service, storageName, itemId),
-            clearStorage: (storageName) => this.storageManager.clearStorage(context.chatId, service, storageName)
-        };
-
-        // Create scoped state helpers (auto-inject chatId and service)
-        const scopedState = {
-            getUsersWithRole: (roleName) => this.stateManager.getUsersWithRole(context.chatId, service, roleName),
-            addUserRole: (userId, role) => this.stateManager.addUserRole(context.chatId, service, userId, role),
-            removeUserRole: (userId, role) => this.stateManager.removeUserRole(context.chatId, service, userId, role),
-            resolveUserName: (userId) => this.stateManager.resolveUserName(context.chatId, userId)
-        };
+        // Create scoped storage and state helpers (auto-inject chatId and service)
+        const scopedStorage = this.createScopedStorage(context.chatId, service);
+        const scopedState = this.createScopedState(context.chatId, service);
 
         return {
             ...context,
@@ -366,6 +433,78 @@ export class MessageRouter {
         };
     }
 
+    /**
+     * Create storage helpers scoped to a chat and service
+     * @param {object[]} [changes] - Collects writes for undo (see StorageManager.saveChangeSet)
+     */
+    createScopedStorage(chatId, service, changes = null) {
+        const sm = this.storageManager;
+
+        return {
+            addItem: (storageName, item) => sm.addItem(chatId, service, storageName, item, changes),
+            getStorage: (storageName) => sm.getStorage(chatId, service, storageName),
+            updateItem: (storageName, itemId, updates) => sm.updateItem(chatId, service, storageName, itemId, updates, changes),
+            deleteItem: (storageName, itemId) => sm.deleteItem(chatId, service, storageName, itemId, changes),
+            clearStorage: (storageName) => sm.clearStorage(chatId, service, storageName, changes),
+            query: (storageName, filter, options) => sm.queryItems(chatId, service, storageName, filter, options),
+            count: (storageName, filter) => sm.countItems(chatId, service, storageName, filter),
+            paginate: (storageName, page, limit, options) => sm.getItemsPaginated(chatId, service, storageName, page, limit, options),
+            aggregate: (storageName, field, operation, filter) => sm.aggregate(chatId, service, storageName, field, operation, filter),
+            group: (storageName, options) => sm.groupItems(chatId, service, storageName, options),
+            getEntries: (storageName, filter, options) => sm.getEntries(chatId, service, storageName, filter, options),
+            getEntry: (storageName, entryId) => sm.getEntry(chatId, service, storageName, entryId),
+            addEntry: (storageName, entry) => sm.addEntry(chatId, service, storageName, entry, changes),
+            updateEntry: (storageName, entryId, updates) => sm.updateEntry(chatId, service, storageName, entryId, updates, changes),
+            deleteEntry: (storageName, entryId) => sm.deleteEntry(chatId, service, storageName, entryId, changes),
+            clearEntries: (storageName) => sm.clearEntries(chatId, service, storageName, changes)
+        };
+    }
+
+    /**
+     * Create state helpers scoped to a chat and service
+     */
+    createScopedState(chatId, service) {
+        return {
+            getUsersWithRole: (roleName) => this.stateManager.getUsersWithRole(chatId, service, roleName),
+            getUserRoles: (userId) => this.stateManager.getUserRoles(chatId, service, userId),
+            addUserRole: (userId, role) => this.stateManager.addUserRole(chatId, service, userId, role),
+            removeUserRole: (userId, role) => this.stateManager.removeUserRole(chatId, service, userId, role),
+            resolveUserName: (userId) => this.stateManager.resolveUserName(chatId, userId)
+        };
+    }
+
+    /**
+     * Create delivery status helpers scoped to a chat
+     */
+    createScopedOutbox(chatId) {
+        return {
+            get: async (id) => {
+                const message = await this.outboundQueue.get(id);
+                return message?.chatId === chatId ? message : null;
+            },
+            list: (options = {}) => this.outboundQueue.list({ ...options, chatId })
+        };
+    }
+
+    /**
+     * Objects handlers reach through their context, for ServiceLoader.checkHandlers
+     */
+    getContextApi() {
+        return {
+            storage: this.createScopedStorage(null, null),
+            state: this.createScopedState(null, null),
+            stateManager: this.stateManager,
+            storageManager: this.storageManager,
+            whatsappClient: this.whatsappClient,
+            serviceLoader: this.serviceLoader,
+            helpGenerator: this.helpGenerator,
+            sessionManager: this.sessionManager,
+            scheduler: this.scheduler,
+            auditLog: this.auditLog,
+            outbox: this.createScopedOutbox(null)
+        };
+    }
+
     /**
      * Get command definition from session
      */
@@ -376,38 +515,75 @@ export class MessageRouter {
         );
     }
 
+    /**
+     * Prompt for a session's current argument with its interactive context:
+     * as text, or as a poll when the context asks for one
+     * @param {string} [prefix] - Text before the prompt
+     */
+    async createPromptResponse(context, session, execContext, prefix = '') {
+        const commandDef = this.getCommandDefinition(session);
+        const contextMessage = await this.sessionManager.getInteractiveContext(session, execContext);
+        const poll = this.sessionManager.generatePoll(session, commandDef, contextMessage);
+
+        if (!poll) {
+            const prompt = this.sessionManager.generatePrompt(session, commandDef, contextMessage);
+            return this.createResponse(context, `${prefix}${prompt}`);
+        }
+
+        // The session keeps the options to read votes back
+        await this.sessionManager.savePoll(session, poll);
+        const prompt = this.sessionManager.generatePollPrompt(session, commandDef, poll);
+        return this.createRichResponse(context, [`${prefix}${prompt}`, poll]);
+    }
+
     /**
      * Execute a parsed command
      */
     async executeCommand(context, parsed) {
-        const { type, service, command, args } = parsed;
+        const { type, service, command } = parsed;
 
         // Interactive mode only triggers when command is called with NO args at all
         const noArgsProvided = !parsed.rawArgs || parsed.rawArgs.trim() === '';
 
-        if (parsed.interactive !== false && noArgsProvided) {
-            const commandDef = this.serviceLoader.getCommandDefinition(
-                type === 'service' ? service : type,
-                command
-            );
+        // ...or when the AI read free-form args and couldn't fill every field
+        const readByAI = parsed.readWithAI && !noArgsProvided && await this.readArgsWithAI(context, parsed);
+
+        this.attachMediaArgs(context, parsed);
 
+        const commandDef = this.serviceLoader.getCommandDefinition(
+            type === 'service' ? service : type,
+            command
+        );
+
+        // Nobody is there to answer prompts for scheduled commands
+        if (parsed.interactive !== false && this.canPrompt(context) && (noArgsProvided || readByAI)) {
             if (commandDef) {
-                const missingArgs = this.commandParser.getMissingArgs(args, commandDef, parsed.syntaxIndex || 0);
+                const missingArgs = this.commandParser.getMissingArgs(parsed.args, commandDef, parsed.syntaxIndex || 0);
 
                 if (missingArgs.length > 0) {
                     // Start interactive session
                     const session = await this.sessionManager.createSession(context, parsed, missingArgs);
 
-                    // Build exec context and get interactive context message
                     const execContext = await this.buildExecContext(context, session);
-                    const contextMessage = await this.sessionManager.getInteractiveContext(session, execContext);
-                    const prompt = this.sessionManager.generatePrompt(session, commandDef, contextMessage);
-
-                    return this.createResponse(context, `_"cancel" to abort_\n\n${prompt}`);
+                    return this.createPromptResponse(context, session, execContext, '_"cancel" to abort_\n\n');
                 }
             }
         }
 
+        // Arguments as given, for a confirmation to run the command with (type parsers replace them)
+        const givenArgs = { ...parsed.args };
+
+        // Arguments that don't fit their type or constraints never reach the handler
+        if (commandDef) {
+            const invalid = this.commandParser.getInvalidArgs(parsed.args, commandDef, parsed.syntaxIndex || 0, { ...context, service });
+            if (!invalid.length && type === 'service') {
+                invalid.push(...await this.applyTypeParsers(context, parsed, commandDef));
+            }
+            if (invalid.length > 0) {
+                return this.createErrorResponse(context, invalid.map(({ param, error }) => `Invalid ${param}: ${error}`).join('\n'));
+            }
+        }
+
         // Get handler function
         const handlerScope = type === 'service' ? service : type;
         const handler = this.serviceLoader.getHandlerFunction(handlerScope, command);
@@ -416,30 +592,179 @@ export class MessageRouter {
             return this.createErrorResponse(context, `Handler not implemented for: ${command}`);
         }
 
-        // Create scoped storage helpers (auto-inject chatId and service)
-        const scopedStorage = {
-            addItem: (storageName, item) => this.storageManager.addItem(context.chatId, service, storageName, item),
-            getStorage: (storageName) => this.storageManager.getStorage(context.chatId, service, storageName),
-            updateItem: (storageName, itemId, updates) => this.storageManager.updateItem(context.chatId, service, storageName, itemId, updates),
-            deleteItem: (storageName, itemId) => this.storageManager.deleteItem(context.chatId, service, storageName, itemId),
-            clearStorage: (storageName) => this.storageManager.clearStorage(context.chatId, service, storageName)
-        };
+        // Dangerous commands wait for a "yes" (not when nobody can answer)
+        const confirmPrompt = commandDef && !parsed.confirmed && this.canPrompt(context) && this.getConfirmPrompt(parsed, commandDef);
+        if (confirmPrompt) {
+            await this.sessionManager.createConfirmation(context, { ...parsed, args: givenArgs });
+            return this.createResponse(context, `${confirmPrompt}\n\n_Reply "yes" to confirm_`);
+        }
+
+        // Storage writes of service commands are kept for `.undo` (see StorageManager.saveChangeSet)
+        const changes = type === 'service' ? [] : null;
+
+        const execContext = this.createHandlerContext(context, service, {
+            args: parsed.args,
+            parsed,
+            // Root commands can run commands as other users (see executeAs)
+            ...(type === 'root' && {
+                executeAs: (options) => this.executeAs({ ...options, impersonatedBy: context.userId })
+            })
+        }, changes);
+
+        // Audited commands are recorded however they end, throws included
+        const audited = this.auditLog.isAudited(parsed);
+        let response;
+        try {
+            response = await this.runHandler(handler, context, execContext);
+        } catch (error) {
+            if (audited) await this.auditLog.record(context, parsed, { isError: true, text: error.message });
+            throw error;
+        } finally {
+            if (changes) await this.storageManager.saveChangeSet(context, parsed, changes);
+        }
+
+        if (audited) await this.auditLog.record(context, parsed, response);
+        return response;
+    }
+
+    /**
+     * Question asked before running a command flagged `confirm` in its definition:
+     * - true: the command, its description and arguments
+     * - a message template: "{param}" is replaced by the argument
+     * - { message?, when: { param: value } }: only when an argument is (or lists) the value
+     * @returns {string|null} The question, or null if the command runs right away
+     */
+    getConfirmPrompt(parsed, commandDef) {
+        const { confirm } = commandDef;
+        if (!confirm) return null;
+
+        const { message, when } = typeof confirm === 'object' ? confirm : { message: confirm };
+        const args = parsed.args || {};
+        if (when && !Object.entries(when).some(([name, value]) => [].concat(args[name]).includes(value))) {
+            return null;
+        }
+
+        if (typeof message === 'string') {
+            return message.replace(/\{(\w+)\}/g, (match, name) => formatArgValue(args[name]));
+        }
+
+        const scope = parsed.type === 'service' ? parsed.service : parsed.type;
+        const lines = Object.entries(args)
+            .filter(([, value]) => value !== undefined && value !== null)
+            .map(([name, value]) => `${name}: ${formatArgValue(value)}`);
+        return [`*${scope} ${parsed.command}*: ${commandDef.description}`, ...lines].join('\n');
+    }
+
+    /**
+     * Run a command in a chat as a user, through the full pipeline with their permissions.
+     * The command is given without prefixes ("exp add 50 groceries") and never prompts.
+     * @param {object} options
+     * @param {string} options.chatId - Chat the command runs in
+     * @param {string} options.userId - User it runs as
+     * @param {string} options.command
+     * @param {string} options.impersonatedBy - Root user running it
+     * @param {string} [options.deliverTo] - Chat to send the response to (default: just return it)
+     * @returns {Promise<object|null>} The response
+     */
+    async executeAs({ chatId, userId, command, impersonatedBy, deliverTo = null }) {
+        const response = await this.route({
+            event: 'message',
+            impersonatedBy,
+            payload: {
+                chat_id: chatId,
+                from: userId,
+                body: command,
+                timestamp: new Date().toISOString()
+            }
+        });
 
-        // Create scoped state helpers (auto-inject chatId and service)
-        const scopedState = {
-            getUsersWithRole: (roleName) => this.stateManager.getUsersWithRole(context.chatId, service, roleName),
-            addUserRole: (userId, role) => this.stateManager.addUserRole(context.chatId, service, userId, role),
-            removeUserRole: (userId, role) => this.stateManager.removeUserRole(context.chatId, service, userId, role),
-            resolveUserName: (userId) => this.stateManager.resolveUserName(context.chatId, userId)
+        if (deliverTo) await this.deliver(deliverTo, response);
+        return response;
+    }
+
+    /**
+     * Send a response to a chat through the outbound queue, for responses that
+     * don't go back to the message they answer (scheduled jobs, executeAs)
+     */
+    async deliver(chatId, response) {
+        const messages = response?.messages ||
+            (response?.text ? [{ type: 'text', text: response.text }] : []);
+
+        for (const message of messages) {
+            await this.outboundQueue.enqueue({ ...message, chatId });
+        }
+    }
+
+    /**
+     * Run the parsers a service exports for its own types (see ServiceLoader.getTypeParser)
+     * and replace the arguments with what they return
+     * @returns {Promise<{ param: string, error: string }[]>} Arguments the parsers rejected
+     */
+    async applyTypeParsers(context, parsed, commandDef) {
+        const errors = [];
+        let execContext;
+
+        for (const [name, def] of Object.entries(this.getSyntaxParameters(commandDef, parsed.syntaxIndex))) {
+            const parser = this.serviceLoader.getTypeParser(parsed.service, def.type);
+            const value = parsed.args[name];
+            if (!parser || value === undefined || value === null || value === def.default) continue;
+
+            execContext ??= this.createHandlerContext(context, parsed.service, { args: parsed.args, parsed });
+            const results = [];
+            for (const item of def.isList ? value : [value]) {
+                results.push(await parser(item, execContext));
+            }
+
+            const failed = results.find(result => !result?.success);
+            if (failed) {
+                errors.push({ param: name, error: failed?.error || `Not a valid ${def.type}` });
+                continue;
+            }
+            parsed.args[name] = def.isList ? results.map(result => result.value) : results[0].value;
+        }
+
+        return errors;
+    }
+
+    /**
+     * Run a service's scheduled job handler (see Scheduler)
+     * Handlers get the usual context without a user, plus `job`
+     */
+    async executeScheduledHandler(job, handlerName) {
+        // The chat may not have had a message (and its migrations) since the deploy
+        await this.stateManager.migrateChat(job.chatId);
+
+        const isGroup = job.chatId?.endsWith('@g.us');
+        const context = {
+            chatId: job.chatId,
+            userId: null,
+            body: '',
+            isGroup,
+            isPrivate: !isGroup,
+            userRoles: [],
+            job
         };
 
-        // Build execution context with utilities
-        const execContext = {
+        const handler = this.serviceLoader.getHandlerFunction(job.service, handlerName);
+        if (!handler) {
+            return this.createErrorResponse(context, `Handler not implemented for: ${handlerName}`);
+        }
+
+        const execContext = this.createHandlerContext(context, job.service, { args: {} });
+        return this.runHandler(handler, context, execContext);
+    }
+
+    /**
+     * Build the context handlers are called with
+     * @param {object[]} [changes] - Collects the handler's storage writes for undo
+     */
+    createHandlerContext(context, service, extra = {}, changes = null) {
+        return {
             ...context,
-            args,
-            parsed,
-            storage: scopedStorage,
-            state: scopedState,
+            ...extra,
+            // Scoped storage and state helpers (auto-inject chatId and service)
+            storage: this.createScopedStorage(context.chatId, service, changes),
+            state: this.createScopedState(context.chatId, service),
             // Keep full managers for advanced use cases
             stateManager: this.stateManager,
             storageManager: this.storageManager,
@@ -447,20 +772,116 @@ export class MessageRouter {
             serviceLoader: this.serviceLoader,
             helpGenerator: this.helpGenerator,
             sessionManager: this.sessionManager,
-            sendMessage: (text) => this.sendMessage(context, text),
+            scheduler: this.scheduler,
+            auditLog: this.auditLog,
+            outbox: this.createScopedOutbox(context.chatId),
+            sendMessage: (content) => this.sendMessage(context, content),
             sendReply: (text) => this.sendReply(context, text),
             sendError: (text) => this.createErrorResponse(context, text)
         };
+    }
 
-        // Execute handler
-        const result = await handler(execContext);
+    /**
+     * Call a handler and format its result into a response
+     */
+    async runHandler(handler, context, execContext) {
+        let result;
+        try {
+            result = await handler(execContext);
+        } catch (error) {
+            // Rejected storage writes are reported to the user
+            if (error instanceof StorageValidationError) {
+                return this.createErrorResponse(context, error.message);
+            }
+            throw error;
+        }
 
-        // Format and send response
         return this.formatResponse(context, result);
     }
 
+    /**
+     * Replace parsed.args with arguments the AI extracted from the free-form text
+     * (commands with "AIConfig": { "readWithAI": true }). Keeps the regular
+     * positional parse when AI isn't configured or the call fails.
+     * @returns {Promise<boolean>} Whether the AI supplied the arguments
+     */
+    async readArgsWithAI(context, parsed) {
+        const commandDef = this.serviceLoader.getCommandDefinition(
+            parsed.type === 'service' ? parsed.service : parsed.type,
+            parsed.command
+        );
+        const aiOptions = commandDef?.AIConfig;
+        if (!aiOptions?.readWithAI) return false;
+
+        const rootSettings = await this.stateManager.getRootSettings();
+        const serviceSettings = parsed.service
+            ? await this.stateManager.getServiceSettings(context.chatId, parsed.service)
+            : {};
+
+        // Service settings named in useServiceSettings take the place of the root AIConfig values
+        const overrides = {};
+        for (const key of [].concat(aiOptions.useServiceSettings || [])) {
+            overrides[key] = serviceSettings[key];
+        }
+
+        const provider = createAIProvider(resolveAIConfig(rootSettings?.AIConfig, overrides));
+        if (!provider) return false;
+
+        // Media parameters are filled from the attachment, not the text
+        const typeParser = this.commandParser.typeParser;
+        const parameters = Object.fromEntries(
+            Object.entries(this.getSyntaxParameters(commandDef, parsed.syntaxIndex))
+                .filter(([, def]) => !typeParser.isMediaType(def.type))
+        );
+
+        const options = typeParser.getOptions({ ...context, service: parsed.service });
+        const result = await extractArgsWithAI(provider, parsed.rawArgs, parameters, typeParser, options);
+        if (!result.success) {
+            console.error('AI argument extraction failed:', result.error);
+            return false;
+        }
+
+        parsed.args = result.args;
+        return true;
+    }
+
+    /**
+     * Parameters of a command syntax
+     */
+    getSyntaxParameters(commandDef, syntaxIndex = 0) {
+        const syntaxes = commandDef.syntaxes || [{ parameters: commandDef.syntax?.parameters || {} }];
+        return syntaxes[syntaxIndex || 0]?.parameters || {};
+    }
+
+    /**
+     * Fill media parameters (image, document, ...) from the media sent with the message.
+     * Media of the wrong type leaves required parameters missing and optional ones empty.
+     */
+    attachMediaArgs(context, parsed) {
+        const commandDef = this.serviceLoader.getCommandDefinition(
+            parsed.type === 'service' ? parsed.service : parsed.type,
+            parsed.command
+        );
+        if (!commandDef) return;
+
+        const typeParser = this.commandParser.typeParser;
+        for (const [name, def] of Object.entries(this.getSyntaxParameters(commandDef, parsed.syntaxIndex))) {
+            if (!typeParser.isMediaType(def.type) || parsed.args[name] !== undefined) continue;
+
+            const result = typeParser.parse(context.media ?? null, def.type, def);
+            if (result.success) {
+                parsed.args[name] = result.value;
+            } else if (def.optional) {
+                parsed.args[name] = null;
+            }
+        }
+    }
+
     /**
      * Format handler result into a response
+     * Handlers return a string, { text }, { error }, a typed message
+     * ({ type: 'image' | 'file' | 'poll' | 'location' | 'contact' | 'react', ... },
+     * see MESSAGE_TYPES) or an array of strings and typed messages
      */
     formatResponse(context, result) {
         if (result === null || result === undefined) {
@@ -471,6 +892,10 @@ export class MessageRouter {
             return this.createResponse(context, result);
         }
 
+        if (Array.isArray(result) || result.type) {
+            return this.createRichResponse(context, [].concat(result));
+        }
+
         if (result.text) {
             return this.createResponse(context, result.text, result);
         }
@@ -482,6 +907,39 @@ export class MessageRouter {
         return this.createResponse(context, JSON.stringify(result, null, 2));
     }
 
+    /**
+     * Create a response carrying typed messages, sent in order.
+     * `text` holds the text parts for callers that only read text.
+     */
+    createRichResponse(context, items) {
+        const messages = [];
+
+        for (const item of items) {
+            if (item === null || item === undefined) continue;
+
+            const message = typeof item === 'string' ? { type: 'text', text: item } : { type: 'text', ...item };
+
+            // Text replies and reactions refer to the triggering message by default
+            if (message.type === 'text') message.replyTo ??= context.messageId;
+            if (message.type === 'react') message.messageId ??= context.messageId;
+
+            const error = validateMessage(message);
+            if (error) {
+                console.error('Invalid handler response:', error);
+                return this.createErrorResponse(context, `Invalid response: ${error}`);
+            }
+
+            messages.push(message);
+        }
+
+        if (messages.length === 0) {
+            return null;
+        }
+
+        const text = messages.filter(m => m.type === 'text').map(m => m.text).join('\n\n');
+        return this.createResponse(context, text, { messages });
+    }
+
     /**
      * Create a standard response
      */
@@ -507,18 +965,27 @@ export class MessageRouter {
     }
 
     /**
-     * Send a message
+     * Send a message (through the outbound queue)
+     * @param {string|object} content - Text, or a typed message ({ type: 'image', url, caption }, ...)
+     * @returns {Promise<object>} Outbox record with the delivery `status`
      */
-    async sendMessage(context, text) {
-        return this.whatsappClient.sendMessage(context.chatId, text);
+    async sendMessage(context, content) {
+        const message = typeof content === 'string' ? { text: content } : content;
+        return this.outboundQueue.enqueue({ ...message, chatId: context.chatId });
     }
 
     /**
-     * Send a reply
+     * Send a reply (through the outbound queue)
+     * @returns {Promise<object>} Outbox record with the delivery `status`
      */
     async sendReply(context, text) {
-        return this.whatsappClient.sendReply(context.chatId, text, context.messageId);
+        return this.outboundQueue.enqueue({ chatId: context.chatId, text, replyTo: context.messageId });
     }
 }
 
+function formatArgValue(value) {
+    if (value === undefined || value === null) return '-';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
 export default MessageRouter;
@@ -0,0 +1,361 @@
+/**
+ * Outbound Queue
+ * 
+ * Every outgoing message is persisted (via StateManager) before it is sent,
+ * retried with exponential backoff when the WhatsApp API is unreachable or
+ * failing, and held back when sending would exceed the per-chat or global
+ * rate limit. Each message records its delivery status:
+ * queued → sending → sent, or failed once retries run out (or the API rejects it).
+ *
+ * Due messages are flushed by a timer in long-running processes and on every
+ * webhook (see Bot.handleWebhook), so serverless deployments retry as well.
+ * Rate limits are counted per process.
+ */
+
+import crypto from 'crypto';
+
+const MINUTE = 60 * 1000;
+
+const DEFAULTS = {
+    maxAttempts: 5,
+    retryDelay: 5000,               // First retry, doubled for each further attempt
+    maxRetryDelay: 10 * MINUTE,
+    chatRateLimit: 20,              // Messages per chat per minute
+    globalRateLimit: 60,            // Messages per minute
+    sendingTimeout: 2 * MINUTE,     // A message 'sending' this long was lost with its process
+    retention: 7 * 24 * 60 * MINUTE // Sent and failed messages are kept this long
+};
+
+/**
+ * Message types and their required fields (handlers return these, see
+ * MessageRouter.formatResponse)
+ */
+export const MESSAGE_TYPES = {
+    text: ['text'],
+    image: ['url'],         // caption
+    file: ['url'],          // caption
+    poll: ['question', 'options'], // maxAnswer
+    location: ['latitude', 'longitude'], // name
+    contact: ['name', 'phone'],
+    react: ['emoji', 'messageId']
+};
+
+const PENDING_STATUSES = ['queued', 'sending'];
+const DONE_STATUSES = ['sent', 'failed'];
+
+export class OutboundQueue {
+    /**
+     * @param {object} options
+     * @param {StateManager} options.stateManager
+     * @param {WhatsAppClient} options.whatsappClient
+     * @param {object} [options.limits] - Overrides for DEFAULTS (undefined values are ignored)
+     */
+    constructor(options = {}) {
+        this.stateManager = options.stateManager;
+        this.whatsappClient = options.whatsappClient;
+
+        this.limits = { ...DEFAULTS };
+        for (const [key, value] of Object.entries(options.limits || {})) {
+            if (value !== undefined) this.limits[key] = value;
+        }
+
+        // Send timestamps within the last minute, for rate limiting
+        this.recentSends = [];
+        this.recentChatSends = new Map();
+
+        this.timer = null;
+        this.timerAt = null;
+        this.flushing = null;
+        this.lastPrune = 0;
+    }
+
+    /**
+     * Queue a message and try to send it right away
+     * @param {object} message
+     * @param {string} message.chatId
+     * @param {string} [message.type] - One of MESSAGE_TYPES (default 'text'), with that type's fields
+     * @param {string} [message.replyTo] - Message id to reply to (text only)
+     * @returns {Promise<object>} The outbox record (check `status`)
+     */
+    async enqueue({ chatId, type = 'text', ...content }) {
+        const error = validateMessage({ type, ...content });
+        if (error) throw new Error(`Invalid outbound message: ${error}`);
+
+        const now = new Date().toISOString();
+        const message = {
+            id: Date.now().toString() + crypto.randomBytes(4).toString('hex'),
+            chatId,
+            type,
+            ...content,
+            status: 'queued',
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now,
+            nextAttemptAt: now
+        };
+
+        await this.stateManager.addOutboxMessage(message);
+        return this.deliver(message);
+    }
+
+    /**
+     * Send every message that is due (retries, rate-limited and lost messages)
+     */
+    async flush() {
+        // One flush at a time per process
+        if (this.flushing) return this.flushing;
+
+        this.flushing = this.flushDue().finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    async flushDue() {
+        await this.prune();
+
+        const pending = await this.stateManager.getOutboxMessages({ status: PENDING_STATUSES });
+        let delivered = 0;
+
+        for (const message of pending) {
+            const now = Date.now();
+
+            if (message.status === 'sending') {
+                if (Date.parse(message.updatedAt) > now - this.limits.sendingTimeout) continue;
+            } else {
+                const dueIn = Date.parse(message.nextAttemptAt) - now;
+                if (dueIn > 0) {
+                    this.scheduleFlush(dueIn);
+                    continue;
+                }
+            }
+
+            const result = await this.deliver(message);
+            if (result?.status === 'sent') delivered++;
+        }
+
+        return { pending: pending.length, delivered };
+    }
+
+    /**
+     * Attempt to send a message, then record the outcome
+     */
+    async deliver(message) {
+        const wait = this.getRateLimitDelay(message.chatId);
+        if (wait > 0) {
+            this.scheduleFlush(wait);
+            return this.update(message, {
+                status: 'queued',
+                nextAttemptAt: new Date(Date.now() + wait).toISOString()
+            });
+        }
+
+        // Claim the message so a concurrent flush (or instance) doesn't send it too
+        const claimed = await this.stateManager.updateOutboxMessage(
+            message.id,
+            { $set: { status: 'sending', updatedAt: new Date().toISOString() }, $inc: { attempts: 1 } },
+            { status: message.status, attempts: message.attempts }
+        );
+        if (!claimed) return this.stateManager.getOutboxMessage(message.id);
+
+        this.recordSend(message.chatId);
+        const result = await this.send(claimed);
+
+        if (result.success) {
+            return this.update(claimed, {
+                status: 'sent',
+                sentAt: new Date().toISOString(),
+                ...(result.data?.results?.message_id && { sentMessageId: result.data.results.message_id })
+            });
+        }
+
+        const error = { lastError: result.error, lastCode: result.code };
+
+        if (claimed.attempts >= this.limits.maxAttempts || !isRetryable(result)) {
+            console.error(`Outbound message ${claimed.id} failed:`, result.error);
+            return this.update(claimed, { status: 'failed', ...error });
+        }
+
+        const delay = Math.min(this.limits.retryDelay * 2 ** (claimed.attempts - 1), this.limits.maxRetryDelay);
+        this.scheduleFlush(delay);
+
+        return this.update(claimed, {
+            status: 'queued',
+            nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+            ...error
+        });
+    }
+
+    /**
+     * Send a message with the WhatsApp client
+     * @returns {Promise<{success: boolean, data?: object, error?: string, code?: any, status?: number}>}
+     */
+    async send(message) {
+        const { chatId } = message;
+
+        switch (message.type) {
+            case 'text':
+                return message.replyTo
+                    ? this.whatsappClient.sendReply(chatId, message.text, message.replyTo)
+                    : this.whatsappClient.sendMessage(chatId, message.text);
+            case 'image':
+                return this.whatsappClient.sendImage(chatId, message.url, message.caption);
+            case 'file':
+                return this.whatsappClient.sendFile(chatId, message.url, message.caption);
+            case 'poll':
+                return this.whatsappClient.sendPoll(chatId, message.question, message.options, message.maxAnswer);
+            case 'location':
+                return this.whatsappClient.sendLocation(chatId, message.latitude, message.longitude, message.name);
+            case 'contact':
+                return this.whatsappClient.sendContact(chatId, message.name, message.phone);
+            case 'react':
+                return this.whatsappClient.reactToMessage(chatId, message.messageId, message.emoji);
+            default:
+                return { success: false, error: `Unknown message type: ${message.type}`, code: 'UNKNOWN_TYPE' };
+        }
+    }
+
+    async update(message, fields) {
+        const updated = await this.stateManager.updateOutboxMessage(message.id, {
+            $set: { ...fields, updatedAt: new Date().toISOString() }
+        });
+        return updated || { ...message, ...fields };
+    }
+
+    // ============================================
+    // RATE LIMITING
+    // ============================================
+
+    /**
+     * Milliseconds until a message to this chat may be sent (0 = now)
+     */
+    getRateLimitDelay(chatId) {
+        const now = Date.now();
+        const recent = trimWindow(this.recentSends, now);
+        const chatRecent = trimWindow(this.recentChatSends.get(chatId) || [], now);
+
+        if (chatRecent.length === 0) this.recentChatSends.delete(chatId);
+
+        let wait = 0;
+        if (recent.length >= this.limits.globalRateLimit) {
+            wait = Math.max(wait, recent[recent.length - this.limits.globalRateLimit] + MINUTE - now);
+        }
+        if (chatRecent.length >= this.limits.chatRateLimit) {
+            wait = Math.max(wait, chatRecent[chatRecent.length - this.limits.chatRateLimit] + MINUTE - now);
+        }
+        return wait;
+    }
+
+    recordSend(chatId) {
+        const now = Date.now();
+        this.recentSends.push(now);
+
+        if (!this.recentChatSends.has(chatId)) this.recentChatSends.set(chatId, []);
+        this.recentChatSends.get(chatId).push(now);
+    }
+
+    /**
+     * Flush again after a delay (keeps the earliest pending timer)
+     */
+    scheduleFlush(delay) {
+        const at = Date.now() + delay;
+        if (this.timer && this.timerAt <= at) return;
+
+        clearTimeout(this.timer);
+        this.timerAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => console.error('Outbox flush failed:', error));
+        }, delay);
+
+        // Don't keep the process alive just for retries
+        this.timer.unref?.();
+    }
+
+    /**
+     * Delete old sent/failed messages (at most hourly)
+     */
+    async prune() {
+        const now = Date.now();
+        if (now - this.lastPrune < 60 * MINUTE) return;
+
+        this.lastPrune = now;
+        await this.stateManager.deleteOutboxMessages({
+            status: DONE_STATUSES,
+            before: new Date(now - this.limits.retention).toISOString()
+        });
+    }
+
+    // ============================================
+    // INSPECTION
+    // ============================================
+
+    /**
+     * Get a message's outbox record
+     */
+    async get(id) {
+        return this.stateManager.getOutboxMessage(id);
+    }
+
+    /**
+     * List outbox records, newest first
+     * @param {object} [options] - { chatId, status, limit }
+     */
+    async list({ chatId, status, limit = 50 } = {}) {
+        return this.stateManager.getOutboxMessages({ chatId, status, sort: -1, limit });
+    }
+
+    /**
+     * Count messages that are pending or failed
+     */
+    async getStats() {
+        const messages = await this.stateManager.getOutboxMessages({ status: [...PENDING_STATUSES, 'failed'] });
+        const stats = { queued: 0, sending: 0, failed: 0 };
+        for (const message of messages) {
+            stats[message.status]++;
+        }
+        return stats;
+    }
+}
+
+/**
+ * Check a message has a known type and that type's required fields
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateMessage(message) {
+    const fields = MESSAGE_TYPES[message.type];
+    if (!fields) {
+        return `unknown type "${message.type}" (valid: ${Object.keys(MESSAGE_TYPES).join(', ')})`;
+    }
+
+    const missing = fields.filter(field => message[field] === undefined || message[field] === null || message[field] === '');
+    if (missing.length) {
+        return `${message.type} needs ${missing.join(', ')}`;
+    }
+
+    if (message.type === 'poll' && (!Array.isArray(message.options) || message.options.length < 2)) {
+        return 'poll needs at least 2 options';
+    }
+
+    return null;
+}
+
+/**
+ * Retry when the API couldn't be reached, rate limited us or had a server error;
+ * other errors (bad request, invalid recipient, ...) won't succeed on retry
+ */
+function isRetryable({ code, status }) {
+    return code === 'NO_RESPONSE' || status === 429 || status >= 500;
+}
+
+/**
+ * Drop timestamps older than a minute from a sorted list
+ */
+function trimWindow(list, now) {
+    while (list.length && list[0] <= now - MINUTE) {
+        list.shift();
+    }
+    return list;
+}
+
+export default OutboundQueue;
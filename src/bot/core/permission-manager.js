@@ -3,11 +3,13 @@
  * 
  * Handles role-based access control, blacklist checking,
  * and admin detection for WhatsApp groups
+ * Service roles include the roles they inherit (see "roleInheritance" in service.json).
  */
 
 export class PermissionManager {
-    constructor(stateManager) {
+    constructor(stateManager, serviceLoader = stateManager.serviceLoader) {
         this.stateManager = stateManager;
+        this.serviceLoader = serviceLoader;
     }
 
     /**
@@ -137,7 +139,7 @@ export class PermissionManager {
 
         // Check role-based access
         const userRoles = await this.getUserRoles(userId, chatId, service);
-        const syntaxMatch = this.getBestMatchingSyntax(userRoles, commandDef);
+        const syntaxMatch = this.getBestMatchingSyntax(userRoles, commandDef, service);
 
         if (!syntaxMatch) {
             return { allowed: false, reason: 'You do not have permission to use this command' };
@@ -147,7 +149,7 @@ export class PermissionManager {
     }
 
     /**
-     * Get user's roles for a service in a chat (from database)
+     * Get user's roles for a service in a chat (from database), with the roles they inherit
      */
     async getUserRoles(userId, chatId, service) {
         const roles = new Set();
@@ -165,7 +167,14 @@ export class PermissionManager {
             roles.add(role);
         }
 
-        return Array.from(roles);
+        return this.expandRoles(service, Array.from(roles));
+    }
+
+    /**
+     * Add the roles a service's roles inherit
+     */
+    expandRoles(service, roles) {
+        return this.serviceLoader ? this.serviceLoader.expandRoles(service, roles) : roles;
     }
 
     /**
@@ -198,26 +207,28 @@ export class PermissionManager {
     /**
      * Get the best matching syntax for user's roles
      * Note: Admin role does NOT automatically get first syntax - must match allowedRoles
+     * With role inheritance a user can match several syntaxes: the one allowed to the
+     * role inheriting the most roles wins (a parent gets the parent syntax, not the
+     * child syntax it inherits), then the first one.
      */
-    getBestMatchingSyntax(userRoles, commandDef) {
+    getBestMatchingSyntax(userRoles, commandDef, service = null) {
         const syntaxes = commandDef.syntaxes || [{ allowedRoles: ['admin'], parameters: commandDef.syntax?.parameters || {} }];
+        const rank = (role) => this.expandRoles(service, [role]).length;
 
-        // Find first matching syntax for user's roles
+        let best = null;
         for (let i = 0; i < syntaxes.length; i++) {
             const allowedRoles = syntaxes[i].allowedRoles || ['admin'];
 
-            if (allowedRoles.includes('*')) {
-                return { index: i, syntax: syntaxes[i] };
-            }
+            const matched = allowedRoles.includes('*') ? ['*'] : userRoles.filter(role => allowedRoles.includes(role));
+            if (!matched.length) continue;
 
-            for (const role of userRoles) {
-                if (allowedRoles.includes(role)) {
-                    return { index: i, syntax: syntaxes[i] };
-                }
+            const score = Math.max(...matched.map(rank));
+            if (!best || score > best.score) {
+                best = { index: i, syntax: syntaxes[i], score };
             }
         }
 
-        return null;
+        return best && { index: best.index, syntax: best.syntax };
     }
 
     /**
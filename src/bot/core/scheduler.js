@@ -0,0 +1,343 @@
+/**
+ * Scheduler
+ * 
+ * Runs jobs on cron schedules (see utils/cron.js), in the chat's time zone
+ * (admin setting `timezone`, else BOT_TIMEZONE, else the server's).
+ * Two kinds of jobs are persisted (via StateManager):
+ * - command jobs: a command an admin scheduled in a chat, run as that admin
+ *   through the normal pipeline (permissions included)
+ * - service jobs: declared under `schedules` in service.json and run in every
+ *   chat the service is installed in, by the handler export `_scheduled_<name>`
+ * Replies are sent through the OutboundQueue (see MessageRouter.deliver).
+ *
+ * Due jobs run on every runDue() call: from an in-process timer (start()) in
+ * long-running servers, or from POST /api/bot/scheduler on serverless deployments.
+ * Each run also cleans up expired interactive sessions.
+ */
+
+import crypto from 'crypto';
+import { getNextRun } from '../utils/cron.js';
+
+const MINUTE = 60 * 1000;
+
+// Service jobs are matched to installed services at most this often
+const SYNC_INTERVAL = 10 * MINUTE;
+
+export class Scheduler {
+    /**
+     * @param {object} options
+     * @param {StateManager} options.stateManager
+     * @param {ServiceLoader} options.serviceLoader
+     * @param {MessageRouter} options.messageRouter
+     */
+    constructor(options = {}) {
+        this.stateManager = options.stateManager;
+        this.serviceLoader = options.serviceLoader;
+        this.messageRouter = options.messageRouter;
+
+        this.timer = null;
+        this.running = null;
+        this.lastSync = 0;
+    }
+
+    // ============================================
+    // COMMAND JOBS
+    // ============================================
+
+    /**
+     * Schedule a command in a chat
+     * @param {object} options
+     * @param {string} options.chatId
+     * @param {string} options.cron - Cron expression
+     * @param {string} options.command - Command as it would be typed (".exp list")
+     * @param {string} options.createdBy - User the command runs as
+     * @returns {Promise<{success: boolean, job?: object, error?: string}>}
+     */
+    async schedule({ chatId, cron, command, createdBy }) {
+        const now = new Date();
+        const nextRunAt = getNextRun(cron, now, await this.getTimeZone(chatId));
+        if (!nextRunAt) {
+            return { success: false, error: `Invalid or never matching schedule: ${cron}` };
+        }
+
+        // Check the command parses now rather than failing at every run
+        const context = this.messageRouter.buildContext(this.createJobMessage({ chatId, createdBy, command }));
+        const parsed = await this.messageRouter.parseMessage(context);
+        if (!parsed) return { success: false, error: `Not a command: ${command}` };
+        if (parsed.error) return { success: false, error: parsed.error };
+
+        const job = {
+            id: crypto.randomBytes(3).toString('hex'),
+            chatId,
+            command,
+            cron,
+            createdBy,
+            enabled: true,
+            nextRunAt: nextRunAt.toISOString(),
+            runs: 0,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString()
+        };
+
+        await this.stateManager.addJob(job);
+        return { success: true, job };
+    }
+
+    /**
+     * Remove a command job from a chat
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    async unschedule(chatId, id) {
+        const job = await this.get(chatId, id);
+        if (!job) return { success: false, error: `Schedule not found: ${id}` };
+        if (job.service) {
+            return { success: false, error: `${job.service} schedules can't be removed, pause them instead` };
+        }
+
+        await this.stateManager.deleteJob(job.id);
+        return { success: true };
+    }
+
+    /**
+     * Pause or resume a job in a chat
+     * @returns {Promise<{success: boolean, job?: object, error?: string}>}
+     */
+    async setEnabled(chatId, id, enabled) {
+        const job = await this.get(chatId, id);
+        if (!job) return { success: false, error: `Schedule not found: ${id}` };
+
+        // Resumed jobs continue from now instead of catching up
+        const nextRunAt = enabled ? getNextRun(job.cron, new Date(), await this.getTimeZone(chatId)) : null;
+        const updated = await this.stateManager.updateJob(job.id, {
+            $set: {
+                enabled,
+                ...(nextRunAt && { nextRunAt: nextRunAt.toISOString() }),
+                updatedAt: new Date().toISOString()
+            }
+        });
+
+        return { success: true, job: updated };
+    }
+
+    /**
+     * Get a job of a chat by id (service jobs also by "<service>.<schedule>")
+     */
+    async get(chatId, id) {
+        const job = await this.stateManager.getJob(id) || await this.stateManager.getJob(`${id}@${chatId}`);
+        return job?.chatId === chatId ? job : null;
+    }
+
+    /**
+     * List jobs, soonest first
+     * @param {string} [chatId] - Only this chat's jobs
+     */
+    async list(chatId) {
+        return this.stateManager.getJobs({ chatId });
+    }
+
+    // ============================================
+    // RUNNING
+    // ============================================
+
+    /**
+     * Run every job that is due, then clean up expired sessions
+     * @returns {Promise<{ran: number, failed: number}>}
+     */
+    async runDue() {
+        // One run at a time per process
+        if (this.running) return this.running;
+
+        this.running = this.runDueJobs().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    async runDueJobs() {
+        // Root state may have been changed by another instance since it was loaded
+        await this.stateManager.refreshState();
+        await this.syncServiceJobs();
+
+        const now = new Date();
+        const due = await this.stateManager.getJobs({ dueBefore: now.toISOString() });
+        let ran = 0;
+        let failed = 0;
+
+        for (const job of due) {
+            const result = await this.runJob(job, now);
+            if (!result) continue;
+
+            ran++;
+            if (!result.success) failed++;
+        }
+
+        await this.messageRouter.sessionManager.cleanupExpiredSessions();
+
+        return { ran, failed };
+    }
+
+    /**
+     * Claim a due job, run it and record the outcome
+     * @returns {Promise<{success: boolean, error?: string}|null>} null if another run claimed it
+     */
+    async runJob(job, now = new Date()) {
+        // Missed runs aren't caught up: the next run is the next match from now
+        const nextRunAt = getNextRun(job.cron, now, await this.getTimeZone(job.chatId));
+
+        // Claiming moves nextRunAt, so a concurrent run (or instance) skips the job
+        const claimed = await this.stateManager.updateJob(
+            job.id,
+            {
+                $set: {
+                    nextRunAt: nextRunAt?.toISOString() ?? null,
+                    // Schedules that can never match again stop
+                    enabled: !!nextRunAt,
+                    lastRunAt: now.toISOString(),
+                    updatedAt: now.toISOString()
+                },
+                $inc: { runs: 1 }
+            },
+            { nextRunAt: job.nextRunAt }
+        );
+        if (!claimed) return null;
+
+        let result;
+        try {
+            const response = job.service
+                ? await this.messageRouter.executeScheduledHandler(job, this.getHandlerName(job))
+                : await this.messageRouter.route(this.createJobMessage(job));
+
+            await this.messageRouter.deliver(job.chatId, response);
+            result = response?.isError ? { success: false, error: response.text } : { success: true };
+        } catch (error) {
+            console.error(`Scheduled job ${job.id} failed:`, error);
+            result = { success: false, error: error.message };
+        }
+
+        await this.stateManager.updateJob(job.id, {
+            $set: {
+                lastStatus: result.success ? 'ok' : 'error',
+                lastError: result.error ?? null,
+                updatedAt: new Date().toISOString()
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Webhook-shaped message for a command job, from the user who scheduled it
+     * (no message id: there is nothing to reply to)
+     */
+    createJobMessage(job) {
+        return {
+            event: 'message',
+            job,
+            payload: {
+                chat_id: job.chatId,
+                from: job.createdBy,
+                body: job.command,
+                timestamp: new Date().toISOString()
+            }
+        };
+    }
+
+    getHandlerName(job) {
+        const schedule = this.serviceLoader.getSchedules(job.service)[job.name];
+        return schedule?.handler || `_scheduled_${job.name}`;
+    }
+
+    /**
+     * Time zone schedules are read in for a chat
+     */
+    async getTimeZone(chatId) {
+        return this.stateManager.getChatTimeZone(chatId);
+    }
+
+    // ============================================
+    // SERVICE JOBS
+    // ============================================
+
+    /**
+     * Give every chat a job per schedule of its installed services, and remove
+     * jobs of services that were uninstalled or schedules no longer declared
+     */
+    async syncServiceJobs() {
+        const now = Date.now();
+        if (now - this.lastSync < SYNC_INTERVAL) return;
+        this.lastSync = now;
+
+        const wanted = new Map();
+        for (const service of this.serviceLoader.getServiceNames()) {
+            const schedules = this.serviceLoader.getSchedules(service);
+            if (!Object.keys(schedules).length) continue;
+
+            for (const chatId of await this.stateManager.getChatIds({ service })) {
+                for (const [name, schedule] of Object.entries(schedules)) {
+                    wanted.set(`${service}.${name}@${chatId}`, { chatId, service, name, cron: schedule.cron });
+                }
+            }
+        }
+
+        const existing = (await this.stateManager.getJobs()).filter(job => job.service);
+
+        for (const job of existing) {
+            const target = wanted.get(job.id);
+            wanted.delete(job.id);
+
+            if (!target) {
+                await this.stateManager.deleteJob(job.id);
+            } else if (target.cron !== job.cron) {
+                // service.json changed the schedule
+                const nextRunAt = getNextRun(target.cron, new Date(), await this.getTimeZone(job.chatId));
+                await this.stateManager.updateJob(job.id, {
+                    $set: { cron: target.cron, nextRunAt: nextRunAt?.toISOString() ?? null, updatedAt: new Date().toISOString() }
+                });
+            }
+        }
+
+        for (const [id, target] of wanted) {
+            const nextRunAt = getNextRun(target.cron, new Date(), await this.getTimeZone(target.chatId));
+            if (!nextRunAt) {
+                console.warn(`⚠️  Invalid schedule ${target.service}.${target.name}: ${target.cron}`);
+                continue;
+            }
+
+            const timestamp = new Date().toISOString();
+            await this.stateManager.addJob({
+                id,
+                ...target,
+                enabled: true,
+                nextRunAt: nextRunAt.toISOString(),
+                runs: 0,
+                createdAt: timestamp,
+                updatedAt: timestamp
+            });
+        }
+    }
+
+    // ============================================
+    // TIMER
+    // ============================================
+
+    /**
+     * Run due jobs every `interval` ms in this process
+     */
+    start(interval = MINUTE) {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.runDue().catch(error => console.error('Scheduler run failed:', error));
+        }, interval);
+
+        // Don't keep the process alive just for the schedule
+        this.timer.unref?.();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+export default Scheduler;
@@ -12,6 +12,7 @@ import * as rootHandlers from '../handlers/root.js';
 import * as expHandlers from '../handlers/services/exp/handler.js';
 import * as chatbotHandlers from '../handlers/services/chatbot/handler.js';
 import * as adornersHandlers from '../handlers/services/adorners/handler.js';
+import * as remindHandlers from '../handlers/services/remind/handler.js';
 
 // Static imports for definitions (from src/bot/definitions/)
 import typesDef from '../definitions/types.json' with { type: 'json' };
@@ -23,6 +24,9 @@ import rootDef from '../definitions/root.json' with { type: 'json' };
 import expServiceDef from '../handlers/services/exp/service.json' with { type: 'json' };
 import chatbotServiceDef from '../handlers/services/chatbot/service.json' with { type: 'json' };
 import adornersServiceDef from '../handlers/services/adorners/service.json' with { type: 'json' };
+import remindServiceDef from '../handlers/services/remind/service.json' with { type: 'json' };
+
+import { expandRoles, getInheritingRoles } from '../utils/roles.js';
 
 // Handler registry
 const HANDLER_REGISTRY = {
@@ -31,14 +35,16 @@ const HANDLER_REGISTRY = {
     root: rootHandlers,
     exp: expHandlers,
     chatbot: chatbotHandlers,
-    adorners: adornersHandlers
+    adorners: adornersHandlers,
+    remind: remindHandlers
 };
 
 // Service definition registry
 const SERVICE_REGISTRY = {
     exp: expServiceDef,
     chatbot: chatbotServiceDef,
-    adorners: adornersServiceDef
+    adorners: adornersServiceDef,
+    remind: remindServiceDef
 };
 
 export class ServiceLoader {
@@ -93,6 +99,40 @@ export class ServiceLoader {
         console.log(`Loaded handlers: ${[...this.handlers.keys()].join(', ')}`);
     }
 
+    /**
+     * Flag handler functions that call context methods which don't exist
+     * Scans each exported function's source for `<name>.<method>(` calls on the
+     * given context objects, e.g. { storageManager, storage, stateManager, ... }
+     * @param {object} contextApi - Objects handlers receive in their context
+     * @returns {string[]} Problems found (also logged as warnings)
+     */
+    checkHandlers(contextApi) {
+        const problems = [];
+
+        for (const [scope, handlerModule] of this.handlers) {
+            for (const [exportName, fn] of Object.entries(handlerModule)) {
+                if (typeof fn !== 'function') continue;
+
+                const source = fn.toString();
+                for (const [name, api] of Object.entries(contextApi)) {
+                    const callPattern = new RegExp(`\\b${name}\\.(\\w+)\\s*\\(`, 'g');
+
+                    for (const [, method] of source.matchAll(callPattern)) {
+                        if (typeof api?.[method] !== 'function') {
+                            problems.push(`${scope}.${exportName} calls missing ${name}.${method}()`);
+                        }
+                    }
+                }
+            }
+        }
+
+        for (const problem of new Set(problems)) {
+            console.warn(`⚠️  Handler check: ${problem}`);
+        }
+
+        return [...new Set(problems)];
+    }
+
     /**
      * Register a new handler module at runtime
      * Note: For Next.js compatibility, handlers should be added to HANDLER_REGISTRY
@@ -209,6 +249,63 @@ export class ServiceLoader {
         return this.services.get(serviceName)?.storage;
     }
 
+    /**
+     * Get the storage schema version of a service (defaults to 1)
+     */
+    getServiceVersion(serviceName) {
+        return this.services.get(serviceName)?.version || 1;
+    }
+
+    /**
+     * Get storage migrations exported by a service handler module
+     * Keyed by the version they migrate to: { 2: async (ctx) => {...}, 3: ... }
+     */
+    getMigrations(serviceName) {
+        return this.handlers.get(serviceName)?.migrations || {};
+    }
+
+    /**
+     * Get scheduled jobs declared by a service ({ [name]: { cron, description, handler? } })
+     */
+    getSchedules(serviceName) {
+        return this.services.get(serviceName)?.schedules || {};
+    }
+
+    /**
+     * Get types a service declares for its commands ({ [name]: { derivedFrom?, description, constraints..., parser? } })
+     */
+    getServiceTypes(serviceName) {
+        return this.services.get(serviceName)?.types || {};
+    }
+
+    /**
+     * Add the roles a service's roles inherit (see "roleInheritance" in service.json)
+     */
+    expandRoles(serviceName, roles) {
+        return expandRoles(this.services.get(serviceName), roles);
+    }
+
+    /**
+     * Get the roles of a service that inherit a role
+     */
+    getInheritingRoles(serviceName, role) {
+        return getInheritingRoles(this.services.get(serviceName), role);
+    }
+
+    /**
+     * Get the parser a service handler module exports for one of its types:
+     * `_parse_<type>`, or the export named by the type's `parser`
+     * Parsers get the value (already checked against the type) and the handler context,
+     * and return { success, value, error }
+     */
+    getTypeParser(serviceName, type) {
+        const typeDef = this.getServiceTypes(serviceName)[type];
+        if (!typeDef) return null;
+
+        const parser = this.handlers.get(serviceName)?.[typeDef.parser || `_parse_${type}`];
+        return typeof parser === 'function' ? parser : null;
+    }
+
     /**
      * Check if service allows private chat
      */
@@ -1,10 +1,23 @@
 /**
  * Session Manager
  * 
- * Handles interactive command sessions for multi-step argument collection
+ * Handles interactive command sessions for multi-step argument collection.
+ * Choices can be answered by typing, or by voting when sent as a poll.
+ * Confirmation sessions hold a complete command until the user replies "yes"
+ * (commands flagged `confirm`, see MessageRouter.getConfirmPrompt).
  */
 
+import crypto from 'crypto';
 import { TypeParser } from './type-parser.js';
+
+// WhatsApp poll limits
+const MAX_POLL_OPTIONS = 12;
+const MAX_POLL_OPTION_LENGTH = 100;
+
+// Replies to a confirmation session
+const CONFIRM_REPLIES = ['yes', 'y', 'confirm'];
+const DECLINE_REPLIES = ['no', 'n', 'cancel'];
+
 export class SessionManager {
     constructor(stateManager) {
         this.stateManager = stateManager;
@@ -17,6 +30,8 @@ export class SessionManager {
      */
     setServiceLoader(serviceLoader) {
         this.serviceLoader = serviceLoader;
+        // Answers for service commands may use the service's own types
+        this.typeParser = new TypeParser(serviceLoader);
     }
 
     /**
@@ -31,8 +46,9 @@ export class SessionManager {
 
     /**
      * Create a new interactive session
+     * @param {object} [extra] - Fields to add to the session
      */
-    async createSession(context, parsedCommand, missingArgs) {
+    async createSession(context, parsedCommand, missingArgs, extra = {}) {
         const { chatId, userId } = context;
         const { service, command } = parsedCommand;
         const sessionKey = this.getSessionKey(chatId, userId, service, command);
@@ -50,13 +66,21 @@ export class SessionManager {
             currentArgIndex: 0,
             startedAt: new Date().toISOString(),
             lastActivity: new Date().toISOString(),
-            expiresAt: new Date(Date.now() + this.sessionTimeout).toISOString()
+            expiresAt: new Date(Date.now() + this.sessionTimeout).toISOString(),
+            ...extra
         };
 
         await this.stateManager.saveSession(sessionKey, session);
         return session;
     }
 
+    /**
+     * Hold a command with all its arguments until the user confirms it
+     */
+    async createConfirmation(context, parsedCommand) {
+        return this.createSession(context, parsedCommand, [], { confirm: true });
+    }
+
     /**
      * Get active session for a user in a chat
      */
@@ -89,6 +113,8 @@ export class SessionManager {
 
         session.collectedArgs[argName] = argValue;
         session.currentArgIndex++;
+        // A poll only answers the argument it was sent for
+        delete session.poll;
         session.lastActivity = new Date().toISOString();
         session.expiresAt = new Date(Date.now() + this.sessionTimeout).toISOString();
 
@@ -122,7 +148,9 @@ export class SessionManager {
 
     /**
      * Handle session response
-     * @returns {{ action: string, session?: object, argName?: string, argValue?: any }}
+     * @returns {{ action: string, session?: object, argName?: string, argValue?: any, error?: string }}
+     *   action 'invalid' (with error) when the answer doesn't fit the argument,
+     *   'confirmed' / 'declined' for confirmation sessions
      */
     async handleResponse(message, context) {
         const { chatId, userId } = context;
@@ -132,8 +160,16 @@ export class SessionManager {
             return { action: 'no_session' };
         }
 
+        if (context.pollVote) {
+            return session.confirm ? { action: 'ignored', session } : this.handlePollVote(session, context.pollVote);
+        }
+
         const trimmedMessage = message.trim().toLowerCase();
 
+        if (session.confirm) {
+            return this.handleConfirmation(session, trimmedMessage);
+        }
+
         // Check for cancel
         if (trimmedMessage === 'cancel') {
             await this.deleteSession(session.key);
@@ -155,7 +191,31 @@ export class SessionManager {
             }
         }
 
+        // "done" confirms the votes of a multiple choice poll
+        if (trimmedMessage === 'done' && session.poll?.selection?.length) {
+            return this.acceptValue(session, session.poll.selection.join(','), context);
+        }
+
         // Regular value input
+        return this.acceptValue(session, message.trim(), context);
+    }
+
+    /**
+     * Answer a confirmation session. Anything but a yes drops the command;
+     * replies that aren't a no are left for normal routing ('declined').
+     */
+    async handleConfirmation(session, reply) {
+        await this.deleteSession(session.key);
+
+        if (CONFIRM_REPLIES.includes(reply)) return { action: 'confirmed', session };
+        if (DECLINE_REPLIES.includes(reply)) return { action: 'cancelled', session };
+        return { action: 'declined', session };
+    }
+
+    /**
+     * Take a raw value for the current argument and move the session on
+     */
+    async acceptValue(session, rawValue, context = {}) {
         const currentArg = this.getCurrentPendingArg(session);
         if (!currentArg) {
             await this.deleteSession(session.key);
@@ -163,7 +223,11 @@ export class SessionManager {
         }
 
         // Parse the value through TypeParser using the parameter definition
-        const parsedValue = this.parseArgValue(session, currentArg, message.trim());
+        const parsed = this.parseArgValue(session, currentArg, rawValue, context);
+        if (!parsed.success) {
+            return { action: 'invalid', session, argName: currentArg, error: parsed.error };
+        }
+        const parsedValue = parsed.value;
 
         const updatedSession = await this.updateSession(session.key, currentArg, parsedValue);
 
@@ -175,11 +239,63 @@ export class SessionManager {
         return { action: 'continue', session: updatedSession, argName: currentArg, argValue: parsedValue };
     }
 
+    /**
+     * Handle a vote on the poll sent for the current argument. Single choice
+     * votes answer right away; multiple choice votes are kept (each vote carries
+     * the whole selection) until the user replies "done".
+     */
+    async handlePollVote(session, vote) {
+        const poll = session.poll;
+        if (!poll || poll.arg !== this.getCurrentPendingArg(session)) {
+            return { action: 'ignored', session };
+        }
+
+        const choices = this.matchPollOptions(poll, vote.options);
+        if (!choices) {
+            return { action: 'ignored', session };
+        }
+
+        if (poll.multiple) {
+            session.poll.selection = choices;
+            session.lastActivity = new Date().toISOString();
+            session.expiresAt = new Date(Date.now() + this.sessionTimeout).toISOString();
+            await this.stateManager.saveSession(session.key, session);
+            return { action: 'selected', session, argName: poll.arg, argValue: choices };
+        }
+
+        // Retracted vote
+        if (choices.length === 0) {
+            return { action: 'ignored', session };
+        }
+
+        return this.acceptValue(session, String(choices[0]));
+    }
+
+    /**
+     * Map voted options (names or SHA-256 hashes) to item numbers
+     * @returns {number[]|null} Item numbers, or null if a vote isn't for this poll
+     */
+    matchPollOptions(poll, votedOptions = []) {
+        const hashes = poll.options.map(option => crypto.createHash('sha256').update(option).digest('hex'));
+        const choices = [];
+
+        for (const voted of votedOptions) {
+            let index = poll.options.indexOf(voted);
+            if (index === -1) index = hashes.indexOf(voted.toLowerCase());
+            if (index === -1) return null;
+            choices.push(index + 1);
+        }
+
+        return choices.sort((a, b) => a - b);
+    }
+
     /**
      * Parse a raw string value using TypeParser based on the parameter definition
+     * (media parameters take the media sent with the reply instead)
+     * @returns {{ success: boolean, value?: any, error?: string }}
      */
-    parseArgValue(session, argName, rawValue) {
-        if (!this.serviceLoader) return rawValue;
+    parseArgValue(session, argName, rawValue, context = {}) {
+        if (!this.serviceLoader) return { success: true, value: rawValue };
 
         let commandDef;
         if (session.type === 'service') {
@@ -193,16 +309,20 @@ export class SessionManager {
             commandDef = this.serviceLoader.getBuiltinDefinition()?.commands?.[session.command];
         }
 
-        if (!commandDef) return rawValue;
+        if (!commandDef) return { success: true, value: rawValue };
 
         const syntaxes = commandDef.syntaxes || [{ parameters: commandDef.syntax?.parameters || {} }];
         const parameters = syntaxes[session.syntaxIndex || 0]?.parameters || {};
         const paramDef = parameters[argName];
 
-        if (!paramDef) return rawValue;
+        if (!paramDef) return { success: true, value: rawValue };
 
-        const parsed = this.typeParser.parse(rawValue, paramDef.type, paramDef);
-        return parsed.success ? parsed.value : rawValue;
+        if (this.typeParser.isMediaType(paramDef.type)) {
+            const media = this.typeParser.parse(context.media ?? null, paramDef.type, paramDef);
+            return { success: true, value: media.success ? media.value : null };
+        }
+
+        return this.typeParser.parse(rawValue, paramDef.type, paramDef, this.typeParser.getOptions({ ...context, service: session.service }));
     }
 
     /**
@@ -217,9 +337,7 @@ export class SessionManager {
             return null;
         }
 
-        const syntaxes = commandDef.syntaxes || [{ parameters: commandDef.syntax?.parameters || {} }];
-        const parameters = syntaxes[session.syntaxIndex || 0]?.parameters || {};
-        const paramDef = parameters[currentArg];
+        const paramDef = this.getParamDef(session, commandDef, currentArg);
 
         // Simple format: context list (if any) then just ask for the value
         let prompt = '';
@@ -233,7 +351,8 @@ export class SessionManager {
         const desc = paramDef?.description || currentArg;
         const type = paramDef?.type || 'text';
         const isList = paramDef?.isList ? 'Comma separated list of ' : '';
-        prompt += `*${desc}?* _(${isList}${type.replace('|', ' or ')})_`;
+        const constraints = this.typeParser.describeConstraints(type, paramDef, session.service);
+        prompt += `*${desc}?* _(${isList}${type.replace('|', ' or ')}${constraints ? `; ${constraints}` : ''})_`;
 
         if (paramDef?.optional) {
             prompt += ` _or "skip"_`;
@@ -242,6 +361,66 @@ export class SessionManager {
         return prompt;
     }
 
+    /**
+     * Generate a poll for the current argument when the context data asks for
+     * one ({ list: [...], poll: true }) and the list fits in a WhatsApp poll
+     * @returns {object|null} Poll message, or null to prompt with text
+     */
+    generatePoll(session, commandDef, contextData = null) {
+        const currentArg = this.getCurrentPendingArg(session);
+        if (!currentArg || !contextData?.poll || !Array.isArray(contextData.list)) {
+            return null;
+        }
+
+        const { list } = contextData;
+        if (list.length < 2 || list.length > MAX_POLL_OPTIONS) {
+            return null;
+        }
+
+        const paramDef = this.getParamDef(session, commandDef, currentArg);
+
+        // Numbered, so options stay unique and match the item numbers typed replies use
+        const options = list.map((item, i) => this.formatListItem(item, i).slice(0, MAX_POLL_OPTION_LENGTH));
+
+        return {
+            type: 'poll',
+            question: `${paramDef?.description || currentArg}?`,
+            options,
+            maxAnswer: paramDef?.isList ? options.length : 1
+        };
+    }
+
+    /**
+     * Remember the poll sent for the current argument
+     */
+    async savePoll(session, poll) {
+        session.poll = {
+            arg: this.getCurrentPendingArg(session),
+            options: poll.options,
+            multiple: poll.maxAnswer > 1
+        };
+        await this.stateManager.saveSession(session.key, session);
+    }
+
+    /**
+     * Text sent along with a poll prompt
+     */
+    generatePollPrompt(session, commandDef, poll) {
+        const prompt = this.generatePrompt(session, commandDef);
+        return poll.maxAnswer > 1
+            ? `${prompt}\n_Vote in the poll, then reply "done"_`
+            : `${prompt}\n_Vote in the poll_`;
+    }
+
+    /**
+     * Get a parameter definition from the session's syntax
+     */
+    getParamDef(session, commandDef, argName) {
+        const syntaxes = commandDef?.syntaxes || [{ parameters: commandDef?.syntax?.parameters || {} }];
+        const parameters = syntaxes[session.syntaxIndex || 0]?.parameters || {};
+        return parameters[argName];
+    }
+
     /**
      * Format context data into a display string - minimal and clean
      * Supports:
@@ -264,17 +443,7 @@ export class SessionManager {
                 return data.emptyMessage || '_No items_';
             }
 
-            return data.list.map((item, i) => {
-                if (typeof item === 'string') {
-                    return `${i + 1}. ${item}`;
-                }
-                // Object: { label, sublabel? }
-                let line = `${i + 1}. ${item.label || item.name || ''}`;
-                if (item.sublabel) {
-                    line += ` - ${item.sublabel}`;
-                }
-                return line;
-            }).join('\n');
+            return data.list.map((item, i) => this.formatListItem(item, i)).join('\n');
         }
 
         // Selected item format: { selected: { label, sublabel? } }
@@ -298,6 +467,22 @@ export class SessionManager {
         return '';
     }
 
+    /**
+     * Format a list item as a numbered line
+     * @param {string|{label: string, sublabel?: string}} item
+     */
+    formatListItem(item, i) {
+        if (typeof item === 'string') {
+            return `${i + 1}. ${item}`;
+        }
+        // Object: { label, sublabel? }
+        let line = `${i + 1}. ${item.label || item.name || ''}`;
+        if (item.sublabel) {
+            line += ` - ${item.sublabel}`;
+        }
+        return line;
+    }
+
     /**
      * Get interactive context from service handler
      * Services can export a function named `_interactiveContext_<command>`
@@ -312,6 +497,7 @@ export class SessionManager {
      * - null: no context to show
      * - string: display as-is
      * - { list: [...], emptyMessage? }: numbered list
+     * - { list: [...], poll: true }: the list as a poll (up to 12 items, else a numbered list)
      * - { selected: { label, sublabel? } }: show selected item
      * - { message: string }: simple message
      * 
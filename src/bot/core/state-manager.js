@@ -1,99 +1,48 @@
 /**
  * State Manager
  * 
- * Handles all state operations using MongoDB
+ * Handles all state operations through a pluggable state adapter
+ * (MongoDB by default, see src/bot/adapters/)
  * This is the single source of truth for bot state
  */
 
-import mongoose from 'mongoose';
-
-// MongoDB Schema for Bot State
-const BotStateSchema = new mongoose.Schema({
-    rootUsers: [String],
-    rootSettings: {
-        status: { type: String, enum: ['active', 'paused'], default: 'active' },
-        rootPrefix: { type: String, default: 'root' },
-        adminPrefix: { type: String, default: 'admin' },
-        AIConfig: {
-            apiKey: String,
-            model: { type: String, default: 'gemini-1.5-pro' },
-            systemPrompt: { type: String, default: 'You are a helpful assistant.' }
-        },
-        blackList: [{
-            userId: String,
-            groups: [String],
-            services: [String],
-            commands: [String]
-        }],
-        invokePrefixPattern: { type: String, default: '^\\.(?!\\.)\\s*([\\s\\S]+)$' },
-        localInvokePrefix: { type: String, default: 'local' }
-    },
-    chats: {
-        type: Map,
-        of: new mongoose.Schema({
-            chatType: { type: String, enum: ['group', 'private'] },
-            adminSettings: {
-                disableServicePrefix: String,
-                status: { type: String, enum: ['active', 'paused'], default: 'active' },
-                argsOnlyCmdSetting: {
-                    service: String,
-                    command: String
-                },
-                replyOnParsingError: { type: Boolean, default: false },
-                blackList: [{
-                    userId: String,
-                    services: [String],
-                    commands: [String]
-                }]
-            },
-            services: {
-                type: Map,
-                of: new mongoose.Schema({
-                    roles: {
-                        type: Map,
-                        of: [String]
-                    },
-                    serviceSettings: {
-                        type: Map,
-                        of: mongoose.Schema.Types.Mixed
-                    },
-                    storage: {
-                        type: Map,
-                        of: [mongoose.Schema.Types.Mixed]
-                    }
-                }, { _id: false })
-            }
-        }, { _id: false })
-    },
-    sessions: {
-        type: Map,
-        of: mongoose.Schema.Types.Mixed
-    }
-}, {
-    timestamps: true,
-    minimize: false
-});
-
-// Create models
-let BotState;
-
-try {
-    BotState = mongoose.model('BotState');
-} catch {
-    BotState = mongoose.model('BotState', BotStateSchema);
-}
+import { createStateAdapter } from '../adapters/index.js';
+import { isValidTimeZone } from '../utils/time-zone.js';
+
+// How many times an optimistic read-modify-write is retried on a version conflict
+const MAX_UPDATE_RETRIES = 5;
+
+// Minutes storage changes can be undone for, unless the chat sets `undoWindow`
+const DEFAULT_UNDO_WINDOW = 10;
 
 export class StateManager {
+    /**
+     * @param {object} options
+     * @param {object|string} [options.adapter] - Adapter instance or name ('mongo', 'memory', 'json').
+     *   Defaults to STATE_ADAPTER env var, then 'mongo'
+     * @param {string} [options.dbUri] - MongoDB URI (mongo adapter)
+     * @param {string} [options.stateFile] - State file path (json adapter)
+     */
     constructor(options = {}) {
-        this.dbUri = options.dbUri || process.env.MONGODB_URI;
         this.initialRootId = options.initialRootId || process.env.INITIAL_ROOT_ID;
         this.serviceLoader = options.serviceLoader;
         this.connected = false;
         this.state = null;
+
+        // Chats whose services have been migrated by this process
+        this.migratedChats = new Set();
+
+        const adapter = options.adapter || process.env.STATE_ADAPTER || 'mongo';
+        this.adapter = typeof adapter === 'string'
+            ? createStateAdapter(adapter, {
+                dbUri: options.dbUri || process.env.MONGODB_URI,
+                filePath: options.stateFile || process.env.STATE_FILE
+            })
+            : adapter;
     }
 
     /**
-     * Encode a key for Mongoose Map (dots not allowed)
+     * Encode a key for use in a document path (dots not allowed)
      */
     encodeKey(key) {
         if (!key) return key;
@@ -101,7 +50,7 @@ export class StateManager {
     }
 
     /**
-     * Decode a key from Mongoose Map format
+     * Decode a key from document path format
      */
     decodeKey(key) {
         if (!key) return key;
@@ -109,67 +58,98 @@ export class StateManager {
     }
 
     /**
-     * Connect to MongoDB and initialize state
+     * Connect the state adapter and initialize state
      */
     async connect() {
         if (this.connected) return;
 
         try {
-            if (mongoose.connection.readyState !== 1) {
-                const dbName = process.env.MONGODB_DB_NAME || 'test';
-                await mongoose.connect(this.dbUri, { dbName });
-            }
+            await this.adapter.connect();
             this.connected = true;
 
             // Initialize or load state
             await this.initializeState();
 
-            console.log('StateManager connected to MongoDB');
+            console.log(`StateManager connected (${this.adapter.name})`);
         } catch (error) {
-            console.error('Failed to connect to MongoDB:', error);
+            console.error(`Failed to connect state adapter (${this.adapter.name}):`, error);
             throw error;
         }
     }
 
     /**
-     * Initialize state document or load existing one
+     * Initialize root state or load existing one
      */
     async initializeState() {
-        this.state = await BotState.findOne();
+        this.state = await this.adapter.getRoot();
 
         if (!this.state) {
             // Create initial state
-            this.state = new BotState({
+            this.state = await this.adapter.createRoot({
+                version: 0,
                 rootUsers: this.initialRootId ? [this.initialRootId] : [],
                 rootSettings: {
                     status: 'active',
                     rootPrefix: 'root',
                     adminPrefix: 'admin',
                     AIConfig: {
+                        provider: '',
                         apiKey: '',
+                        baseUrl: '',
                         model: 'gemini-1.5-pro',
                         systemPrompt: 'You are a helpful assistant.'
                     },
                     blackList: [],
                     invokePrefixPattern: '^\\.(?!\\.)\\s*([\\s\\S]+)$',
                     localInvokePrefix: 'local'
-                },
-                chats: new Map(),
-                sessions: new Map()
+                }
             });
 
-            await this.state.save();
             console.log('Initialized new bot state');
         }
     }
 
     /**
-     * Save current state
+     * Reload the cached root state
+     * Other processes (or serverless instances) may have changed it since it was loaded
+     */
+    async refreshState() {
+        const root = await this.adapter.getRoot();
+        if (root) {
+            this.state = root;
+        }
+    }
+
+    /**
+     * Apply an atomic update to the root state and refresh the cached copy
+     * Every update bumps the root `version`
+     * @returns {Promise<object|null>} Updated root, or null if the filter did not match
+     */
+    async updateRoot(update, filter = {}) {
+        const updated = await this.adapter.updateRoot(withVersionBump(update), filter);
+        if (updated) {
+            this.state = updated;
+        }
+        return updated;
+    }
+
+    /**
+     * Read-modify-write the root state with optimistic concurrency
+     * `modify` gets a fresh copy of the root and returns an update (or null to skip).
+     * The update only applies if the version is unchanged, otherwise it is retried.
      */
-    async saveState() {
-        if (this.state) {
-            await this.state.save();
+    async modifyRoot(modify) {
+        for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+            await this.refreshState();
+
+            const update = modify(this.state);
+            if (!update) return this.state;
+
+            const updated = await this.updateRoot(update, versionFilter(this.state));
+            if (updated) return updated;
         }
+
+        throw new Error('Root state is being modified concurrently, try again');
     }
 
     // ============================================
@@ -185,15 +165,11 @@ export class StateManager {
     }
 
     async addRootUser(userId) {
-        if (!this.state.rootUsers.includes(userId)) {
-            this.state.rootUsers.push(userId);
-            await this.saveState();
-        }
+        await this.updateRoot({ $addToSet: { rootUsers: userId } });
     }
 
     async removeRootUser(userId) {
-        this.state.rootUsers = this.state.rootUsers.filter(id => id !== userId);
-        await this.saveState();
+        await this.updateRoot({ $pull: { rootUsers: userId } });
     }
 
     // ============================================
@@ -205,34 +181,12 @@ export class StateManager {
     }
 
     async setRootSetting(key, value) {
-        // Handle nested keys like 'AIConfig.apiKey'
-        const keys = key.split('.');
-        let obj = this.state.rootSettings;
-
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!obj[keys[i]]) {
-                obj[keys[i]] = {};
-            }
-            obj = obj[keys[i]];
-        }
-
-        obj[keys[keys.length - 1]] = value;
-        this.state.markModified('rootSettings');
-        await this.saveState();
+        // Nested keys like 'AIConfig.apiKey' map directly onto the document path
+        await this.updateRoot({ $set: { [`rootSettings.${key}`]: value } });
     }
 
     async unsetRootSetting(key) {
-        const keys = key.split('.');
-        let obj = this.state.rootSettings;
-
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!obj[keys[i]]) return;
-            obj = obj[keys[i]];
-        }
-
-        delete obj[keys[keys.length - 1]];
-        this.state.markModified('rootSettings');
-        await this.saveState();
+        await this.updateRoot({ $unset: { [`rootSettings.${key}`]: '' } });
     }
 
     async getRootBlacklist() {
@@ -240,147 +194,166 @@ export class StateManager {
     }
 
     async addToRootBlacklist(entry) {
-        if (!this.state.rootSettings.blackList) {
-            this.state.rootSettings.blackList = [];
-        }
-        this.state.rootSettings.blackList.push(entry);
-        this.state.markModified('rootSettings');
-        await this.saveState();
+        await this.updateRoot({ $push: { 'rootSettings.blackList': entry } });
     }
 
     async removeFromRootBlacklist(userId, groups, services, commands) {
-        if (!this.state.rootSettings.blackList) return;
+        await this.modifyRoot(root => {
+            if (!root.rootSettings.blackList) return null;
 
-        this.state.rootSettings.blackList = this.state.rootSettings.blackList.filter(entry => {
-            if (entry.userId !== userId) return true;
+            const blackList = root.rootSettings.blackList.filter(entry => {
+                if (entry.userId !== userId) return true;
 
-            // Remove matching entries
-            if (groups) {
-                entry.groups = entry.groups.filter(g => !groups.includes(g) && g !== '*');
-            }
-            if (services) {
-                entry.services = entry.services.filter(s => !services.includes(s) && s !== '*');
-            }
-            if (commands) {
-                entry.commands = entry.commands.filter(c => !commands.includes(c) && c !== '*');
-            }
+                // Remove matching entries
+                if (groups) {
+                    entry.groups = entry.groups.filter(g => !groups.includes(g) && g !== '*');
+                }
+                if (services) {
+                    entry.services = entry.services.filter(s => !services.includes(s) && s !== '*');
+                }
+                if (commands) {
+                    entry.commands = entry.commands.filter(c => !commands.includes(c) && c !== '*');
+                }
 
-            // Remove entry if all arrays are empty
-            return entry.groups?.length > 0 || entry.services?.length > 0 || entry.commands?.length > 0;
-        });
+                // Remove entry if all arrays are empty
+                return entry.groups?.length > 0 || entry.services?.length > 0 || entry.commands?.length > 0;
+            });
 
-        this.state.markModified('rootSettings');
-        await this.saveState();
+            return { $set: { 'rootSettings.blackList': blackList } };
+        });
     }
 
     // ============================================
     // CHAT OPERATIONS
     // ============================================
 
+    /**
+     * Apply an atomic update to a chat
+     * Every update bumps the chat `version`
+     * @param {string} chatId - Chat ID
+     * @param {object} update - MongoDB-style update operators
+     * @param {object} filter - Additional filter conditions (e.g. service must exist)
+     * @returns {Promise<object|null>} Updated chat, or null if nothing matched
+     */
+    async updateChat(chatId, update, filter = {}) {
+        return this.adapter.updateChat(chatId, withVersionBump(update), filter);
+    }
+
+    /**
+     * Read-modify-write a chat with optimistic concurrency
+     * `modify` gets a fresh copy of the chat and returns an update (or null to skip).
+     * The update only applies if the version is unchanged, otherwise it is retried.
+     * @returns {Promise<object|null>} Updated chat, or null if the chat does not exist
+     */
+    async modifyChat(chatId, modify) {
+        for (let attempt = 0; attempt < MAX_UPDATE_RETRIES; attempt++) {
+            const chat = await this.getChatData(chatId);
+            if (!chat) return null;
+
+            const update = modify(chat);
+            if (!update) return chat;
+
+            const updated = await this.updateChat(chatId, update, versionFilter(chat));
+            if (updated) return updated;
+        }
+
+        throw new Error(`Chat ${chatId} is being modified concurrently, try again`);
+    }
+
     async getChatData(chatId) {
-        return this.state.chats.get(this.encodeKey(chatId));
+        if (!chatId) return null;
+        return this.adapter.getChat(chatId);
+    }
+
+    /**
+     * List chat IDs, optionally only chats with a service installed
+     */
+    async getChatIds({ service } = {}) {
+        return this.adapter.getChatIds({ service });
     }
 
     async getChatSettings(chatId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
+        const chat = await this.getChatData(chatId);
         return chat?.adminSettings;
     }
 
-    async ensureChat(chatId, chatType = 'group') {
-        const key = this.encodeKey(chatId);
-        if (!this.state.chats.has(key)) {
-            this.state.chats.set(key, {
-                chatType,
-                adminSettings: {
-                    disableServicePrefix: null,
-                    status: 'active',
-                    argsOnlyCmdSetting: null,
-                    replyOnParsingError: false,
-                    blackList: []
-                },
-                displayNames: new Map(),
-                services: new Map()
-            });
-            await this.saveState();
-        }
-        return this.state.chats.get(key);
+    /**
+     * Time zone dates and times are read in for a chat: the admin `timezone`
+     * setting, else BOT_TIMEZONE, else undefined (the server's)
+     */
+    async getChatTimeZone(chatId) {
+        const timeZone = (await this.getChatSettings(chatId))?.timezone || process.env.BOT_TIMEZONE;
+        return timeZone && isValidTimeZone(timeZone) ? timeZone : undefined;
     }
 
-    async setAdminSetting(chatId, key, value) {
-        const chat = await this.ensureChat(chatId);
-
-        const keys = key.split('.');
-        let obj = chat.adminSettings;
+    /**
+     * Minutes a command's storage changes can be undone for in a chat:
+     * the admin `undoWindow` setting, else DEFAULT_UNDO_WINDOW
+     */
+    async getUndoWindow(chatId) {
+        const minutes = Number((await this.getChatSettings(chatId))?.undoWindow);
+        return minutes > 0 ? minutes : DEFAULT_UNDO_WINDOW;
+    }
 
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!obj[keys[i]]) {
-                obj[keys[i]] = {};
-            }
-            obj = obj[keys[i]];
-        }
+    async ensureChat(chatId, chatType = 'group') {
+        return this.adapter.ensureChat(chatId, {
+            version: 0,
+            chatType,
+            adminSettings: {
+                disableServicePrefix: null,
+                status: 'active',
+                argsOnlyCmdSetting: null,
+                replyOnParsingError: false,
+                blackList: []
+            },
+            displayNames: {},
+            services: {}
+        });
+    }
 
-        obj[keys[keys.length - 1]] = value;
-        this.state.markModified('chats');
-        await this.saveState();
+    async setAdminSetting(chatId, key, value) {
+        await this.ensureChat(chatId);
+        await this.updateChat(chatId, { $set: { [`adminSettings.${key}`]: value } });
     }
 
     async getAdminSettings(chatId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
+        const chat = await this.getChatData(chatId);
         return chat?.adminSettings || {};
     }
 
     async unsetAdminSetting(chatId, key) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat) return;
-
-        const keys = key.split('.');
-        let obj = chat.adminSettings;
-
-        for (let i = 0; i < keys.length - 1; i++) {
-            if (!obj[keys[i]]) return;
-            obj = obj[keys[i]];
-        }
-
-        obj[keys[keys.length - 1]] = null;
-        this.state.markModified('chats');
-        await this.saveState();
+        await this.updateChat(chatId, { $set: { [`adminSettings.${key}`]: null } });
     }
 
     async getGroupBlacklist(chatId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
+        const chat = await this.getChatData(chatId);
         return chat?.adminSettings?.blackList || [];
     }
 
     async addToGroupBlacklist(chatId, entry) {
-        const chat = await this.ensureChat(chatId);
-
-        if (!chat.adminSettings.blackList) {
-            chat.adminSettings.blackList = [];
-        }
-        chat.adminSettings.blackList.push(entry);
-        this.state.markModified('chats');
-        await this.saveState();
+        await this.ensureChat(chatId);
+        await this.updateChat(chatId, { $push: { 'adminSettings.blackList': entry } });
     }
 
     async removeFromGroupBlacklist(chatId, userId, services, commands) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat?.adminSettings?.blackList) return;
+        await this.modifyChat(chatId, chat => {
+            if (!chat.adminSettings?.blackList) return null;
 
-        chat.adminSettings.blackList = chat.adminSettings.blackList.filter(entry => {
-            if (entry.userId !== userId) return true;
+            const blackList = chat.adminSettings.blackList.filter(entry => {
+                if (entry.userId !== userId) return true;
 
-            if (services) {
-                entry.services = entry.services.filter(s => !services.includes(s) && s !== '*');
-            }
-            if (commands) {
-                entry.commands = entry.commands.filter(c => !commands.includes(c) && c !== '*');
-            }
+                if (services) {
+                    entry.services = entry.services.filter(s => !services.includes(s) && s !== '*');
+                }
+                if (commands) {
+                    entry.commands = entry.commands.filter(c => !commands.includes(c) && c !== '*');
+                }
 
-            return entry.services?.length > 0 || entry.commands?.length > 0;
-        });
+                return entry.services?.length > 0 || entry.commands?.length > 0;
+            });
 
-        this.state.markModified('chats');
-        await this.saveState();
+            return { $set: { 'adminSettings.blackList': blackList } };
+        });
     }
 
     // ============================================
@@ -391,48 +364,34 @@ export class StateManager {
      * Set a display name for a user in a chat
      */
     async setUserDisplayName(chatId, userId, name) {
-        const chat = await this.ensureChat(chatId);
-
-        if (!chat.displayNames) {
-            chat.displayNames = new Map();
-        }
-
-        chat.displayNames.set(this.encodeKey(userId), name);
-        this.state.markModified('chats');
-        await this.saveState();
+        await this.ensureChat(chatId);
+        await this.updateChat(chatId, { $set: { [`displayNames.${this.encodeKey(userId)}`]: name } });
     }
 
     /**
      * Remove a display name for a user in a chat
      */
     async unsetUserDisplayName(chatId, userId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat?.displayNames) return;
-
-        chat.displayNames.delete(this.encodeKey(userId));
-        this.state.markModified('chats');
-        await this.saveState();
+        await this.updateChat(chatId, { $unset: { [`displayNames.${this.encodeKey(userId)}`]: '' } });
     }
 
     /**
      * Get display name for a user in a chat
      */
     async getUserDisplayName(chatId, userId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat?.displayNames) return null;
-
-        return chat.displayNames.get(this.encodeKey(userId)) || null;
+        const chat = await this.getChatData(chatId);
+        return chat?.displayNames?.[this.encodeKey(userId)] || null;
     }
 
     /**
      * Get all display names for a chat
      */
     async getUserDisplayNames(chatId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
+        const chat = await this.getChatData(chatId);
         if (!chat?.displayNames) return {};
 
         const names = {};
-        for (const [encodedUserId, name] of chat.displayNames.entries()) {
+        for (const [encodedUserId, name] of Object.entries(chat.displayNames)) {
             names[this.decodeKey(encodedUserId)] = name;
         }
         return names;
@@ -454,9 +413,16 @@ export class StateManager {
     // SERVICE OPERATIONS
     // ============================================
 
+    /**
+     * Get a service record ({ roles, serviceSettings }) installed in a chat
+     */
+    async getChatService(chatId, serviceName) {
+        const chat = await this.getChatData(chatId);
+        return chat?.services?.[serviceName] || null;
+    }
+
     async isServiceInstalled(chatId, serviceName) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        return chat?.services?.has(serviceName) || false;
+        return !!(await this.getChatService(chatId, serviceName));
     }
 
     /**
@@ -468,40 +434,34 @@ export class StateManager {
      * @param {string[]} serviceRoles - Additional roles defined in service (e.g., ['parent'])
      */
     async installService(chatId, serviceName, chatType = 'group', participants = null, serviceRoles = []) {
-        const chat = await this.ensureChat(chatId, chatType);
-
-        if (!chat.services) {
-            chat.services = new Map();
+        await this.ensureChat(chatId, chatType);
+
+        // Get admin and member lists from participants
+        const admins = participants?.admins || [];
+        const members = participants?.members || [];
+
+        // Always have admin and member roles, plus any service-specific roles
+        const roles = {
+            admin: [...admins],
+            member: [...members]
+        };
+
+        // Add any additional service-specific roles (empty initially)
+        for (const role of serviceRoles) {
+            if (!roles[role]) {
+                roles[role] = [];
+            }
         }
 
-        if (!chat.services.has(serviceName)) {
-            // Get admin and member lists from participants
-            const admins = participants?.admins || [];
-            const members = participants?.members || [];
-
-            // Always have admin and member roles, plus any service-specific roles
-            const rolesMap = new Map([
-                ['admin', [...admins]],
-                ['member', [...members]]
-            ]);
-
-            // Add any additional service-specific roles (empty initially)
-            for (const role of serviceRoles) {
-                if (role !== 'admin' && role !== 'member' && !rolesMap.has(role)) {
-                    rolesMap.set(role, []);
-                }
-            }
+        // New installs start at the current storage version, no migrations needed
+        const version = this.serviceLoader?.getServiceVersion(serviceName) || 1;
 
-            chat.services.set(serviceName, {
-                roles: rolesMap,
-                serviceSettings: new Map([
-                    ['status', 'active']
-                ]),
-                storage: new Map()
-            });
-            this.state.markModified('chats');
-            await this.saveState();
-        }
+        // Only install if not already present
+        await this.updateChat(
+            chatId,
+            { $set: { [`services.${serviceName}`]: { version, roles, serviceSettings: { status: 'active' } } } },
+            { [`services.${serviceName}`]: { $exists: false } }
+        );
     }
 
     /**
@@ -509,32 +469,23 @@ export class StateManager {
      * Call this when group membership changes
      */
     async syncServiceRoles(chatId, serviceName, participants) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
-
-        if (!service) return;
-
         const { admins = [], members = [] } = participants;
 
-        // Update admin role - keep existing, add new admins
-        const currentAdmins = service.roles.get('admin') || [];
-        const newAdmins = admins.filter(a => !currentAdmins.includes(a));
-        if (newAdmins.length > 0) {
-            service.roles.set('admin', [...currentAdmins, ...newAdmins]);
-        }
+        await this.modifyChat(chatId, chat => {
+            const service = chat.services?.[serviceName];
+            if (!service) return null;
 
-        // Update member role - keep existing, add new members
-        const currentMembers = service.roles.get('member') || [];
-        const allParticipants = [...admins, ...members];
-        const newMembers = allParticipants.filter(m =>
-            !currentMembers.includes(m) && !currentAdmins.includes(m)
-        );
-        if (newMembers.length > 0) {
-            service.roles.set('member', [...currentMembers, ...newMembers]);
-        }
+            // Keep existing admins, add new ones; everyone who isn't already an admin is a member
+            const currentAdmins = service.roles?.admin || [];
+            const newMembers = [...admins, ...members].filter(m => !currentAdmins.includes(m));
 
-        this.state.markModified('chats');
-        await this.saveState();
+            return {
+                $addToSet: {
+                    [`services.${serviceName}.roles.admin`]: { $each: admins },
+                    [`services.${serviceName}.roles.member`]: { $each: newMembers }
+                }
+            };
+        });
     }
 
     /**
@@ -543,22 +494,20 @@ export class StateManager {
      * Admins go to 'admin' role, regular members go to 'member' role
      */
     async addMemberToServices(chatId, userId, isAdmin = false) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat?.services) return;
+        // Always use 'admin' and 'member' roles for WhatsApp mapping
+        const role = isAdmin ? 'admin' : 'member';
 
-        for (const [serviceName, service] of chat.services.entries()) {
-            // Always use 'admin' and 'member' roles for WhatsApp mapping
-            const role = isAdmin ? 'admin' : 'member';
-            const roleUsers = service.roles.get(role) || [];
+        await this.modifyChat(chatId, chat => {
+            const serviceNames = Object.keys(chat.services || {});
+            if (!serviceNames.length) return null;
 
-            if (!roleUsers.includes(userId)) {
-                roleUsers.push(userId);
-                service.roles.set(role, roleUsers);
+            const addToSet = {};
+            for (const serviceName of serviceNames) {
+                addToSet[`services.${serviceName}.roles.${role}`] = userId;
             }
-        }
 
-        this.state.markModified('chats');
-        await this.saveState();
+            return { $addToSet: addToSet };
+        });
     }
 
     /**
@@ -566,103 +515,143 @@ export class StateManager {
      * Call this when someone leaves the group
      */
     async removeMemberFromServices(chatId, userId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat?.services) return;
-
-        for (const [serviceName, service] of chat.services.entries()) {
-            for (const [roleName, users] of service.roles.entries()) {
-                const index = users.indexOf(userId);
-                if (index > -1) {
-                    users.splice(index, 1);
+        await this.modifyChat(chatId, chat => {
+            const pull = {};
+            for (const [serviceName, service] of Object.entries(chat.services || {})) {
+                for (const roleName of Object.keys(service.roles || {})) {
+                    pull[`services.${serviceName}.roles.${roleName}`] = userId;
                 }
             }
-        }
 
-        this.state.markModified('chats');
-        await this.saveState();
+            return Object.keys(pull).length ? { $pull: pull } : null;
+        });
     }
 
     async removeService(chatId, serviceName) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (chat?.services?.has(serviceName)) {
-            chat.services.delete(serviceName);
-            this.state.markModified('chats');
-            await this.saveState();
-        }
+        await this.updateChat(chatId, { $unset: { [`services.${serviceName}`]: '' } });
+        await this.adapter.deleteServiceStorage(chatId, serviceName);
     }
 
     async getInstalledServices(chatId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        if (!chat?.services) return [];
-        return Array.from(chat.services.keys());
+        const chat = await this.getChatData(chatId);
+        return Object.keys(chat?.services || {});
     }
 
     async getServiceSettings(chatId, serviceName) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
-        if (!service?.serviceSettings) return {};
-
-        return Object.fromEntries(service.serviceSettings);
+        const service = await this.getChatService(chatId, serviceName);
+        return { ...(service?.serviceSettings || {}) };
     }
 
     async setServiceSetting(chatId, serviceName, key, value) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
-
-        if (!service) return;
+        await this.updateChat(
+            chatId,
+            { $set: { [`services.${serviceName}.serviceSettings.${key}`]: value } },
+            { [`services.${serviceName}`]: { $exists: true } }
+        );
+    }
 
-        if (!service.serviceSettings) {
-            service.serviceSettings = new Map();
-        }
+    async unsetServiceSetting(chatId, serviceName, key) {
+        await this.updateChat(chatId, { $unset: { [`services.${serviceName}.serviceSettings.${key}`]: '' } });
+    }
 
-        service.serviceSettings.set(key, value);
-        this.state.markModified('chats');
-        await this.saveState();
+    async getServiceDefinition(serviceName) {
+        return this.serviceLoader?.getService(serviceName);
     }
 
-    async unsetServiceSetting(chatId, serviceName, key) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
+    // ============================================
+    // STORAGE MIGRATIONS
+    // ============================================
 
-        if (service?.serviceSettings?.has(key)) {
-            service.serviceSettings.delete(key);
-            this.state.markModified('chats');
-            await this.saveState();
+    /**
+     * Run pending storage migrations for every service installed in a chat
+     * A chat is checked once per process; service definitions don't change at runtime
+     */
+    async migrateChat(chatId) {
+        if (!chatId || !this.serviceLoader || this.migratedChats.has(chatId)) return;
+
+        const chat = await this.getChatData(chatId);
+        for (const [serviceName, service] of Object.entries(chat?.services || {})) {
+            await this.migrateService(chatId, serviceName, service.version || 1);
         }
+
+        this.migratedChats.add(chatId);
     }
 
-    async getServiceDefinition(serviceName) {
-        return this.serviceLoader?.getService(serviceName);
+    /**
+     * Migrate a service's storage in a chat from `fromVersion` to the service's current version
+     * Each migration gets { chatId, service, getItems, setItems, mapItems } and its
+     * version is recorded in the chat's service record as soon as it completes.
+     * Migrations should be idempotent: another instance may run the same step concurrently.
+     */
+    async migrateService(chatId, serviceName, fromVersion) {
+        const targetVersion = this.serviceLoader.getServiceVersion(serviceName);
+        if (fromVersion >= targetVersion) return;
+
+        const migrations = this.serviceLoader.getMigrations(serviceName);
+
+        // Migrations see raw items: intermediate shapes may not match the current schema
+        const migrationContext = {
+            chatId,
+            service: serviceName,
+            getItems: (storageName) => this.getStorage(chatId, serviceName, storageName),
+            setItems: (storageName, items) => this.setStorage(chatId, serviceName, storageName, items),
+            mapItems: async (storageName, fn) => {
+                const items = await this.getStorage(chatId, serviceName, storageName);
+                await this.setStorage(chatId, serviceName, storageName, items.map(fn));
+            }
+        };
+
+        for (let version = fromVersion + 1; version <= targetVersion; version++) {
+            // Versions without a migration only bump the recorded version
+            if (migrations[version]) {
+                await migrations[version](migrationContext);
+            }
+
+            await this.updateChat(
+                chatId,
+                { $set: { [`services.${serviceName}.version`]: version } },
+                { [`services.${serviceName}`]: { $exists: true } }
+            );
+
+            console.log(`Migrated ${serviceName} storage in ${chatId} to v${version}`);
+        }
     }
 
     // ============================================
     // ROLE OPERATIONS
     // ============================================
 
+    /**
+     * Get a user's roles in a service, with the roles they inherit (see ServiceLoader.expandRoles)
+     */
     async getUserServiceRoles(userId, chatId, serviceName) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
+        const service = await this.getChatService(chatId, serviceName);
         if (!service?.roles) return [];
 
         const userRoles = [];
-        for (const [roleName, users] of service.roles.entries()) {
+        for (const [roleName, users] of Object.entries(service.roles)) {
             if (users.includes(userId) || users.includes('*')) {
                 userRoles.push(roleName);
             }
         }
 
-        return userRoles;
+        // Assigned roles bring the roles they inherit
+        return this.serviceLoader ? this.serviceLoader.expandRoles(serviceName, userRoles) : userRoles;
+    }
+
+    /**
+     * Get a user's roles in a service (chat-first argument order, like the other role helpers)
+     */
+    async getUserRoles(chatId, serviceName, userId) {
+        return this.getUserServiceRoles(userId, chatId, serviceName);
     }
 
     /**
      * Get all users with a specific role for a service
      */
     async getUsersWithRole(chatId, serviceName, roleName) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
-        if (!service?.roles) return [];
-
-        return service.roles.get(roleName) || [];
+        const service = await this.getChatService(chatId, serviceName);
+        return service?.roles?.[roleName] || [];
     }
 
     /**
@@ -670,16 +659,14 @@ export class StateManager {
      * Admin role is assigned when service is installed (WhatsApp group admins get 'admin' role)
      */
     async userHasAdminRole(userId, chatId) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
+        const chat = await this.getChatData(chatId);
         if (!chat?.services) return false;
 
         // Check each installed service for admin role
-        for (const [serviceName, service] of chat.services.entries()) {
-            if (service.roles?.has('admin')) {
-                const adminUsers = service.roles.get('admin');
-                if (adminUsers.includes(userId) || adminUsers.includes('*')) {
-                    return true;
-                }
+        for (const service of Object.values(chat.services)) {
+            const adminUsers = service.roles?.admin;
+            if (adminUsers && (adminUsers.includes(userId) || adminUsers.includes('*'))) {
+                return true;
             }
         }
 
@@ -687,52 +674,31 @@ export class StateManager {
     }
 
     async addUserRole(chatId, serviceName, userId, role) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
-
-        if (!service) return; // Service not installed, do nothing
-
-        if (!service.roles) {
-            service.roles = new Map();
-        }
-
-        if (!service.roles.has(role)) {
-            service.roles.set(role, []);
-        }
-
-        const users = service.roles.get(role);
-        if (!users.includes(userId)) {
-            users.push(userId);
-            this.state.markModified('chats');
-            await this.saveState();
-        }
+        // Service not installed - filter doesn't match, nothing happens
+        await this.updateChat(
+            chatId,
+            { $addToSet: { [`services.${serviceName}.roles.${role}`]: userId } },
+            { [`services.${serviceName}`]: { $exists: true } }
+        );
     }
 
     async removeUserRole(chatId, serviceName, userId, role) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
-
-        if (service?.roles?.has(role)) {
-            const users = service.roles.get(role);
-            const index = users.indexOf(userId);
-            if (index > -1) {
-                users.splice(index, 1);
-                this.state.markModified('chats');
-                await this.saveState();
-            }
-        }
+        await this.updateChat(
+            chatId,
+            { $pull: { [`services.${serviceName}.roles.${role}`]: userId } },
+            { [`services.${serviceName}.roles.${role}`]: { $exists: true } }
+        );
     }
 
     async listUserRoles(chatId, serviceName, userIds) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
+        const service = await this.getChatService(chatId, serviceName);
         if (!service?.roles) return {};
 
         const result = {};
 
         for (const userId of userIds) {
             result[userId] = [];
-            for (const [roleName, users] of service.roles.entries()) {
+            for (const [roleName, users] of Object.entries(service.roles)) {
                 if (users.includes(userId) || users.includes('*')) {
                     result[userId].push(roleName);
                 }
@@ -747,29 +713,42 @@ export class StateManager {
     // ============================================
 
     async getStorage(chatId, serviceName, storageName) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
+        return this.adapter.getStorage(chatId, serviceName, storageName);
+    }
 
-        if (!service?.storage?.has(storageName)) {
-            return [];
-        }
+    async setStorage(chatId, serviceName, storageName, data) {
+        const isInstalled = await this.isServiceInstalled(chatId, serviceName);
+        if (!isInstalled) return; // Service not installed, do nothing
 
-        return service.storage.get(storageName);
+        await this.adapter.setStorage(chatId, serviceName, storageName, data);
     }
 
-    async setStorage(chatId, serviceName, storageName, data) {
-        const chat = this.state.chats.get(this.encodeKey(chatId));
-        const service = chat?.services?.get(serviceName);
+    /**
+     * Append an item to a storage list
+     * @returns {Promise<object|null>} The item, or null if the service is not installed
+     */
+    async pushStorageItem(chatId, serviceName, storageName, item) {
+        const isInstalled = await this.isServiceInstalled(chatId, serviceName);
+        if (!isInstalled) return null;
 
-        if (!service) return; // Service not installed, do nothing
+        await this.adapter.pushStorageItem(chatId, serviceName, storageName, item);
+        return item;
+    }
 
-        if (!service.storage) {
-            service.storage = new Map();
-        }
+    /**
+     * Set fields on a single storage item matched by `_id`
+     * @returns {Promise<object|null>} The updated item, or null if not found
+     */
+    async updateStorageItem(chatId, serviceName, storageName, itemId, updates) {
+        return this.adapter.updateStorageItem(chatId, serviceName, storageName, itemId, updates);
+    }
 
-        service.storage.set(storageName, data);
-        this.state.markModified('chats');
-        await this.saveState();
+    /**
+     * Remove a single storage item matched by `_id`
+     * @returns {Promise<boolean>} Whether an item was removed
+     */
+    async pullStorageItem(chatId, serviceName, storageName, itemId) {
+        return this.adapter.pullStorageItem(chatId, serviceName, storageName, itemId);
     }
 
     // ============================================
@@ -777,33 +756,148 @@ export class StateManager {
     // ============================================
 
     async getSessions() {
-        if (!this.state.sessions) {
-            this.state.sessions = new Map();
-        }
-        return Object.fromEntries(this.state.sessions);
+        return this.adapter.getSessions();
     }
 
     async getSession(key) {
-        return this.state.sessions?.get(key);
+        return this.adapter.getSession(key);
     }
 
     async saveSession(key, session) {
-        if (!this.state.sessions) {
-            this.state.sessions = new Map();
-        }
-        this.state.sessions.set(key, session);
-        this.state.markModified('sessions');
-        await this.saveState();
+        await this.adapter.saveSession(key, session);
     }
 
     async deleteSession(key) {
-        if (this.state.sessions?.has(key)) {
-            this.state.sessions.delete(key);
-            this.state.markModified('sessions');
-            await this.saveState();
-        }
+        await this.adapter.deleteSession(key);
+    }
+
+    // ============================================
+    // OUTBOX OPERATIONS
+    // ============================================
+
+    async addOutboxMessage(message) {
+        await this.adapter.addOutboxMessage(message);
     }
 
+    async getOutboxMessage(id) {
+        return this.adapter.getOutboxMessage(id);
+    }
+
+    /**
+     * List outbound messages
+     * @param {object} [options] - { chatId, status (string or array), sort (1 oldest first, -1 newest first), limit }
+     */
+    async getOutboxMessages(options = {}) {
+        return this.adapter.getOutboxMessages(options);
+    }
+
+    /**
+     * Update an outbound message if it still matches the filter
+     * @returns {Promise<object|null>} Updated message, or null if it didn't match
+     */
+    async updateOutboxMessage(id, update, filter = {}) {
+        return this.adapter.updateOutboxMessage(id, update, filter);
+    }
+
+    /**
+     * Delete messages in the given statuses last updated before an ISO date
+     * @returns {Promise<number>} Number of deleted messages
+     */
+    async deleteOutboxMessages({ status, before }) {
+        return this.adapter.deleteOutboxMessages({ status, before });
+    }
+
+    // ============================================
+    // JOB OPERATIONS
+    // ============================================
+
+    async addJob(job) {
+        await this.adapter.addJob(job);
+    }
+
+    async getJob(id) {
+        return this.adapter.getJob(id);
+    }
+
+    /**
+     * List scheduled jobs, soonest first
+     * @param {object} [options] - { chatId, service, dueBefore (ISO date: enabled jobs due by then) }
+     */
+    async getJobs(options = {}) {
+        return this.adapter.getJobs(options);
+    }
+
+    /**
+     * Update a job if it still matches the filter
+     * @returns {Promise<object|null>} Updated job, or null if it didn't match
+     */
+    async updateJob(id, update, filter = {}) {
+        return this.adapter.updateJob(id, update, filter);
+    }
+
+    async deleteJob(id) {
+        return this.adapter.deleteJob(id);
+    }
+
+    // ============================================
+    // AUDIT LOG OPERATIONS
+    // ============================================
+
+    async addAuditEntry(entry) {
+        await this.adapter.addAuditEntry(entry);
+    }
+
+    /**
+     * List audit log entries, newest first
+     * @param {object} [options] - { chatId, userId, command (command or service name, any case), since (ISO date), limit }
+     */
+    async getAuditEntries(options = {}) {
+        return this.adapter.getAuditEntries(options);
+    }
+
+    // ============================================
+    // CHANGE SET OPERATIONS
+    // ============================================
+
+    async addChangeSet(changeSet) {
+        await this.adapter.addChangeSet(changeSet);
+    }
+
+    /**
+     * List storage change sets (see StorageManager.saveChangeSet), newest first
+     * @param {object} [options] - { chatId, userId, since (ISO date), limit }
+     */
+    async getChangeSets(options = {}) {
+        return this.adapter.getChangeSets(options);
+    }
+
+    async deleteChangeSet(id) {
+        return this.adapter.deleteChangeSet(id);
+    }
+
+    /**
+     * Delete a chat's change sets created before an ISO date
+     * @returns {Promise<number>} Number of deleted change sets
+     */
+    async deleteChangeSets({ chatId, before }) {
+        return this.adapter.deleteChangeSets({ chatId, before });
+    }
+
+}
+
+/**
+ * Add a version increment to an update
+ */
+function withVersionBump(update) {
+    return { ...update, $inc: { ...update.$inc, version: 1 } };
+}
+
+/**
+ * Filter matching a document only while it is still at the version it was read at
+ * (documents created before versioning have no version field)
+ */
+function versionFilter(doc) {
+    return { version: doc.version ?? { $exists: false } };
 }
 
 export default StateManager;
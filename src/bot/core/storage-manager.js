@@ -2,13 +2,36 @@
  * Storage Manager
  * 
  * Handles service storage operations (CRUD for expense entries, chat history, etc.)
+ * Writes are validated against the `storage` definitions in each service.json
+ *
+ * Writes can be recorded into a `changes` list (see MessageRouter.executeCommand,
+ * which passes one per command). Saved as a change set, a command's writes can be
+ * reverted later with `.undo` (see undoChangeSet).
  */
 
 import crypto from 'crypto';
+import { TypeParser } from './type-parser.js';
+
+// Fields managed by the framework, allowed on every storage item
+const SYSTEM_FIELDS = ['_id'];
+
+/**
+ * Thrown when a write does not match the service's storage definition.
+ * MessageRouter replies with the message if the handler doesn't catch it.
+ */
+export class StorageValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StorageValidationError';
+    }
+}
 
 export class StorageManager {
-    constructor(stateManager) {
+    constructor(stateManager, serviceLoader = stateManager.serviceLoader) {
         this.stateManager = stateManager;
+        this.serviceLoader = serviceLoader;
+        // Items may use the service's own types
+        this.typeParser = new TypeParser(serviceLoader);
     }
 
     /**
@@ -18,29 +41,148 @@ export class StorageManager {
         return Date.now().toString() + crypto.randomBytes(4).toString('hex');
     }
 
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Get the declared definition of a storage, rejecting undeclared names
+     */
+    getStorageDefinition(serviceName, storageName) {
+        const storageDefs = this.serviceLoader?.getStorageDefinition(serviceName) || {};
+        const storageDef = storageDefs[storageName];
+
+        if (!storageDef) {
+            const declared = Object.keys(storageDefs);
+            throw new StorageValidationError(
+                `Unknown storage: ${serviceName}.${storageName}` +
+                (declared.length ? `\nDeclared: ${declared.join(', ')}` : '')
+            );
+        }
+
+        return storageDef;
+    }
+
+    /**
+     * Validate an item against the storage definition
+     * @param {object} item - Item (or partial updates) to validate
+     * @param {boolean} partial - Only validate the given fields (for updates)
+     * @returns {object} Item with values normalized by TypeParser
+     * @throws {StorageValidationError}
+     */
+    validateItem(serviceName, storageName, item, partial = false) {
+        const storageDef = this.getStorageDefinition(serviceName, storageName);
+        const itemDef = { ...storageDef, isList: false };
+
+        const result = this.validateValue(serviceName, item, itemDef, storageName, partial);
+        if (result.error) {
+            throw new StorageValidationError(`Invalid ${serviceName}.${storageName}: ${result.error}`);
+        }
+
+        return result.value;
+    }
+
+    /**
+     * Validate a value against a type definition (recursing into objects and lists)
+     * @returns {{ value?: any, error?: string }}
+     */
+    validateValue(serviceName, value, def, path, partial = false) {
+        if (value === undefined || value === null) {
+            if (def.optional || (partial && value === undefined)) return { value };
+            return { error: `${path} is required` };
+        }
+
+        if (def.isList) {
+            if (!Array.isArray(value)) return { error: `${path} must be a list` };
+
+            const values = [];
+            for (let i = 0; i < value.length; i++) {
+                const result = this.validateValue(serviceName, value[i], { ...def, isList: false, optional: false }, `${path}[${i}]`);
+                if (result.error) return result;
+                values.push(result.value);
+            }
+            return { value: values };
+        }
+
+        if (def.type === 'object') {
+            return this.validateObject(serviceName, value, def, path, partial);
+        }
+
+        // No validation for free-form values
+        if (!def.type || def.type === 'any' || def.type === '*') {
+            return { value };
+        }
+
+        if (typeof value === 'object') return { error: `${path} must be a ${def.type}` };
+
+        const parsed = this.typeParser.parse(value, def.type, def, { service: serviceName });
+        if (!parsed.success) return { error: `${path}: ${parsed.error}` };
+
+        return { value: parsed.value };
+    }
+
+    /**
+     * Validate an object's fields against its declared properties
+     * Undeclared fields are rejected; declared fields are required unless `optional`
+     */
+    validateObject(serviceName, value, def, path, partial = false) {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            return { error: `${path} must be an object` };
+        }
+
+        const properties = def.properties || {};
+        const result = {};
+
+        for (const [field, fieldValue] of Object.entries(value)) {
+            if (SYSTEM_FIELDS.includes(field)) {
+                result[field] = fieldValue;
+                continue;
+            }
+
+            const fieldDef = properties[field];
+            if (!fieldDef) {
+                return { error: `Unknown field: ${field}\nValid: ${Object.keys(properties).join(', ')}` };
+            }
+
+            const fieldResult = this.validateValue(serviceName, fieldValue, fieldDef, field, partial);
+            if (fieldResult.error) return fieldResult;
+            if (fieldResult.value !== undefined) result[field] = fieldResult.value;
+        }
+
+        if (!partial) {
+            for (const [field, fieldDef] of Object.entries(properties)) {
+                if (value[field] === undefined && !fieldDef.optional) {
+                    return { error: `${field} is required` };
+                }
+            }
+        }
+
+        return { value: result };
+    }
+
+    // ============================================
+    // CRUD
+    // ============================================
+
     /**
      * Get storage for a service in a chat
      */
     async getStorage(chatId, serviceName, storageName) {
-        const chatData = await this.stateManager.getChatData(chatId);
-        // services and storage are Maps, not plain objects
-        const service = chatData?.services?.get?.(serviceName);
-        return service?.storage?.get?.(storageName) || [];
+        return this.stateManager.getStorage(chatId, serviceName, storageName);
     }
 
     /**
      * Add item to storage
+     * @param {object[]} [changes] - Records the write for undo
      */
-    async addItem(chatId, serviceName, storageName, item) {
-        const storage = await this.getStorage(chatId, serviceName, storageName);
-
+    async addItem(chatId, serviceName, storageName, item, changes = null) {
         const newItem = {
             _id: this.generateId(),
-            ...item
+            ...this.validateItem(serviceName, storageName, item)
         };
 
-        storage.push(newItem);
-        await this.stateManager.setStorage(chatId, serviceName, storageName, storage);
+        const added = await this.stateManager.pushStorageItem(chatId, serviceName, storageName, newItem);
+        if (added) changes?.push({ op: 'add', storage: storageName, item: newItem });
 
         return newItem;
     }
@@ -63,99 +205,282 @@ export class StorageManager {
 
     /**
      * Update item
+     * @param {object[]} [changes] - Records the write for undo
      */
-    async updateItem(chatId, serviceName, storageName, itemId, updates) {
-        const storage = await this.getStorage(chatId, serviceName, storageName);
-        const index = storage.findIndex(item => item._id === itemId);
+    async updateItem(chatId, serviceName, storageName, itemId, updates, changes = null) {
+        const { _id, ...fields } = this.validateItem(serviceName, storageName, updates, true);
+        const before = changes && await this.getItem(chatId, serviceName, storageName, itemId);
 
-        if (index === -1) {
-            return null;
-        }
+        const updated = await this.stateManager.updateStorageItem(chatId, serviceName, storageName, itemId, fields);
+        if (updated && before) changes.push({ op: 'update', storage: storageName, before, fields: Object.keys(fields) });
 
-        storage[index] = { ...storage[index], ...updates };
-        await this.stateManager.setStorage(chatId, serviceName, storageName, storage);
-
-        return storage[index];
+        return updated;
     }
 
     /**
      * Update item by index (1-based)
      */
-    async updateItemByIndex(chatId, serviceName, storageName, index, updates) {
+    async updateItemByIndex(chatId, serviceName, storageName, index, updates, changes = null) {
         const storage = await this.getStorage(chatId, serviceName, storageName);
 
         if (index < 1 || index > storage.length) {
             return null;
         }
 
-        storage[index - 1] = { ...storage[index - 1], ...updates };
-        await this.stateManager.setStorage(chatId, serviceName, storageName, storage);
-
-        return storage[index - 1];
+        return this.updateItem(chatId, serviceName, storageName, storage[index - 1]._id, updates, changes);
     }
 
     /**
      * Delete item
+     * @param {object[]} [changes] - Records the write for undo
      */
-    async deleteItem(chatId, serviceName, storageName, itemId) {
-        const storage = await this.getStorage(chatId, serviceName, storageName);
-        const index = storage.findIndex(item => item._id === itemId);
-
-        if (index === -1) {
-            return false;
-        }
+    async deleteItem(chatId, serviceName, storageName, itemId, changes = null) {
+        const before = changes && await this.getItem(chatId, serviceName, storageName, itemId);
 
-        storage.splice(index, 1);
-        await this.stateManager.setStorage(chatId, serviceName, storageName, storage);
+        const deleted = await this.stateManager.pullStorageItem(chatId, serviceName, storageName, itemId);
+        if (deleted && before) changes.push({ op: 'delete', storage: storageName, before });
 
-        return true;
+        return deleted;
     }
 
     /**
      * Delete item by index (1-based)
      */
-    async deleteItemByIndex(chatId, serviceName, storageName, index) {
+    async deleteItemByIndex(chatId, serviceName, storageName, index, changes = null) {
         const storage = await this.getStorage(chatId, serviceName, storageName);
 
         if (index < 1 || index > storage.length) {
             return false;
         }
 
-        storage.splice(index - 1, 1);
-        await this.stateManager.setStorage(chatId, serviceName, storageName, storage);
-
-        return true;
+        return this.deleteItem(chatId, serviceName, storageName, storage[index - 1]._id, changes);
     }
 
     /**
      * Clear all items
+     * @param {object[]} [changes] - Records the write for undo
      */
-    async clearStorage(chatId, serviceName, storageName) {
+    async clearStorage(chatId, serviceName, storageName, changes = null) {
+        this.getStorageDefinition(serviceName, storageName);
+        const before = changes ? await this.getStorage(chatId, serviceName, storageName) : [];
+
         await this.stateManager.setStorage(chatId, serviceName, storageName, []);
+        if (before.length) changes.push({ op: 'clear', storage: storageName, before });
+
         return true;
     }
 
+    // ============================================
+    // ENTRY API
+    // Entries are storage items addressed by their own `id` field
+    // (falling back to the framework `_id`), as used by the service handlers
+    // ============================================
+
     /**
-     * Query items with filter
+     * Find the storage item for an entry id
      */
-    async queryItems(chatId, serviceName, storageName, filter = {}) {
+    async findEntry(chatId, serviceName, storageName, entryId) {
         const storage = await this.getStorage(chatId, serviceName, storageName);
+        return storage.find(item => item.id === entryId) ||
+            storage.find(item => item._id === entryId) ||
+            null;
+    }
 
-        return storage.filter(item => {
-            for (const [key, value] of Object.entries(filter)) {
-                if (item[key] !== value) {
-                    return false;
-                }
+    /**
+     * Get entries, optionally filtered/sorted (see queryItems)
+     */
+    async getEntries(chatId, serviceName, storageName, filter = {}, options = {}) {
+        return this.queryItems(chatId, serviceName, storageName, filter, options);
+    }
+
+    /**
+     * Get a single entry by id
+     */
+    async getEntry(chatId, serviceName, storageName, entryId) {
+        return this.findEntry(chatId, serviceName, storageName, entryId);
+    }
+
+    /**
+     * Add an entry (validated like addItem)
+     */
+    async addEntry(chatId, serviceName, storageName, entry, changes = null) {
+        return this.addItem(chatId, serviceName, storageName, entry, changes);
+    }
+
+    /**
+     * Update an entry by id
+     * @returns {Promise<object|null>} Updated entry, or null if not found
+     */
+    async updateEntry(chatId, serviceName, storageName, entryId, updates, changes = null) {
+        const entry = await this.findEntry(chatId, serviceName, storageName, entryId);
+        if (!entry) return null;
+
+        return this.updateItem(chatId, serviceName, storageName, entry._id, updates, changes);
+    }
+
+    /**
+     * Delete an entry by id
+     * @returns {Promise<boolean>} Whether an entry was deleted
+     */
+    async deleteEntry(chatId, serviceName, storageName, entryId, changes = null) {
+        const entry = await this.findEntry(chatId, serviceName, storageName, entryId);
+        if (!entry) return false;
+
+        return this.deleteItem(chatId, serviceName, storageName, entry._id, changes);
+    }
+
+    /**
+     * Delete all entries
+     */
+    async clearEntries(chatId, serviceName, storageName, changes = null) {
+        return this.clearStorage(chatId, serviceName, storageName, changes);
+    }
+
+    // ============================================
+    // UNDO
+    // ============================================
+
+    /**
+     * Save the writes a command recorded as one change set
+     * Change sets older than the chat's undo window are dropped at the same time.
+     * @param {object} context - Message context of the command ({ chatId, userId, impersonatedBy })
+     * @param {object} parsed - Parsed command
+     * @param {object[]} changes - Writes recorded by the storage methods
+     * @returns {Promise<object|null>} The change set, or null if nothing changed
+     */
+    async saveChangeSet(context, parsed, changes) {
+        if (!changes.length) return null;
+
+        const { chatId } = context;
+        const window = await this.stateManager.getUndoWindow(chatId);
+        await this.stateManager.deleteChangeSets({ chatId, before: new Date(Date.now() - window * 60 * 1000).toISOString() });
+
+        const changeSet = {
+            id: this.generateId(),
+            chatId,
+            userId: context.userId,
+            ...(context.impersonatedBy && { impersonatedBy: context.impersonatedBy }),
+            service: parsed.service,
+            command: parsed.command,
+            changes,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.stateManager.addChangeSet(changeSet);
+        return changeSet;
+    }
+
+    /**
+     * Find a user's last change set in a chat that is still inside the undo window
+     */
+    async getLastChangeSet(chatId, userId) {
+        const window = await this.stateManager.getUndoWindow(chatId);
+        const since = new Date(Date.now() - window * 60 * 1000).toISOString();
+
+        const [changeSet] = await this.stateManager.getChangeSets({ chatId, userId, since, limit: 1 });
+        return changeSet || null;
+    }
+
+    /**
+     * Revert a change set's writes, newest first, and delete it.
+     * Each item is reverted on its own by `_id`: added items are pulled, the fields
+     * an update set get their old values back (null if they had none) and deleted
+     * or cleared items are pushed back at the end of the list. Other items, and
+     * fields other commands wrote since, are left alone.
+     */
+    async undoChangeSet(changeSet) {
+        const { chatId, service } = changeSet;
+
+        for (const change of [...changeSet.changes].reverse()) {
+            await this.revertChange(chatId, service, change);
+        }
+
+        await this.stateManager.deleteChangeSet(changeSet.id);
+    }
+
+    /**
+     * Undo one recorded write
+     */
+    async revertChange(chatId, serviceName, change) {
+        const { storage: storageName } = change;
+
+        switch (change.op) {
+            case 'add':
+                await this.stateManager.pullStorageItem(chatId, serviceName, storageName, change.item._id);
+                break;
+
+            case 'update': {
+                // Storage updates can't remove fields, so fields the update added become null
+                const fields = {};
+                for (const field of change.fields) fields[field] = change.before[field] ?? null;
+                await this.stateManager.updateStorageItem(chatId, serviceName, storageName, change.before._id, fields);
+                break;
             }
-            return true;
-        });
+
+            case 'delete':
+                await this.restoreItem(chatId, serviceName, storageName, change.before);
+                break;
+
+            case 'clear':
+                for (const item of change.before) {
+                    await this.restoreItem(chatId, serviceName, storageName, item);
+                }
+                break;
+
+            default:
+                throw new Error(`Unknown storage change: ${change.op}`);
+        }
+    }
+
+    /**
+     * Push a removed item back unless it is there already
+     */
+    async restoreItem(chatId, serviceName, storageName, item) {
+        if (await this.getItem(chatId, serviceName, storageName, item._id)) return;
+        await this.stateManager.pushStorageItem(chatId, serviceName, storageName, item);
+    }
+
+    // ============================================
+    // QUERIES
+    // ============================================
+
+    /**
+     * Query items
+     * @param {object} filter - Field conditions. A plain value means equality; objects may use
+     *   $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $regex ($options), $exists.
+     *   $and / $or take arrays of filters. Dotted paths reach into nested fields.
+     * @param {object} options
+     * @param {object|string} [options.sort] - { field: 1 | -1, ... } or 'field' / '-field'
+     * @param {number} [options.offset] - Items to skip
+     * @param {number} [options.limit] - Maximum items to return
+     * @param {object} [options.projection] - { field: 1 } to include or { field: 0 } to exclude fields
+     */
+    async queryItems(chatId, serviceName, storageName, filter = {}, options = {}) {
+        const storage = await this.getStorage(chatId, serviceName, storageName);
+        let items = storage.filter(item => matchesFilter(item, filter));
+
+        if (options.sort) {
+            const sortSpec = parseSort(options.sort);
+            items.sort((a, b) => compareBySort(a, b, sortSpec));
+        }
+
+        const offset = options.offset || 0;
+        if (offset || options.limit !== undefined) {
+            items = items.slice(offset, options.limit !== undefined ? offset + options.limit : undefined);
+        }
+
+        if (options.projection) {
+            items = items.map(item => project(item, options.projection));
+        }
+
+        return items;
     }
 
     /**
      * Get items by user
      */
-    async getItemsByUser(chatId, serviceName, storageName, userId, userField = 'addedBy') {
-        return this.queryItems(chatId, serviceName, storageName, { [userField]: userId });
+    async getItemsByUser(chatId, serviceName, storageName, userId, userField = 'addedBy', options = {}) {
+        return this.queryItems(chatId, serviceName, storageName, { [userField]: userId }, options);
     }
 
     /**
@@ -168,16 +493,18 @@ export class StorageManager {
 
     /**
      * Get items with pagination
+     * @param {object} options - { filter, sort, projection } as in queryItems
      */
-    async getItemsPaginated(chatId, serviceName, storageName, page = 1, limit = 10) {
-        const storage = await this.getStorage(chatId, serviceName, storageName);
+    async getItemsPaginated(chatId, serviceName, storageName, page = 1, limit = 10, options = {}) {
+        const { filter = {}, ...queryOptions } = options;
+        const items = await this.queryItems(chatId, serviceName, storageName, filter, queryOptions);
         const startIndex = (page - 1) * limit;
 
         return {
-            items: storage.slice(startIndex, startIndex + limit),
-            total: storage.length,
+            items: items.slice(startIndex, startIndex + limit),
+            total: items.length,
             page,
-            totalPages: Math.ceil(storage.length / limit)
+            totalPages: Math.ceil(items.length / limit)
         };
     }
 
@@ -186,30 +513,243 @@ export class StorageManager {
      */
     async aggregate(chatId, serviceName, storageName, field, operation = 'sum', filter = {}) {
         const items = await this.queryItems(chatId, serviceName, storageName, filter);
+        return reduceItems(items, field, operation);
+    }
+
+    /**
+     * Aggregate items per group (e.g., sum of amount per user per month)
+     * @param {object} options
+     * @param {string|Array<string|object>} options.groupBy - Field name(s). Date fields can be
+     *   bucketed with { field: 'createdAt', by: 'day' | 'month' | 'year' }
+     * @param {string} [options.field] - Field to aggregate (not needed for 'count')
+     * @param {string} [options.operation] - sum, avg, min, max or count
+     * @param {object} [options.filter] - Filter applied before grouping
+     * @param {object|string} [options.sort] - Sort on the `group` keys or `value`, e.g. { value: -1 }
+     * @returns {Promise<Array<{group: object, value: number, count: number}>>}
+     */
+    async groupItems(chatId, serviceName, storageName, options = {}) {
+        const { groupBy, field, operation = 'sum', filter = {}, sort } = options;
+        const items = await this.queryItems(chatId, serviceName, storageName, filter);
+        const keys = (Array.isArray(groupBy) ? groupBy : [groupBy])
+            .map(key => typeof key === 'string' ? { field: key } : key);
+
+        const groups = new Map();
+        for (const item of items) {
+            const group = {};
+            for (const key of keys) {
+                group[key.field] = groupKey(getField(item, key.field), key.by);
+            }
+
+            const id = JSON.stringify(group);
+            if (!groups.has(id)) {
+                groups.set(id, { group, items: [] });
+            }
+            groups.get(id).items.push(item);
+        }
+
+        const results = Array.from(groups.values()).map(({ group, items: groupItems }) => ({
+            group,
+            value: reduceItems(groupItems, field, operation),
+            count: groupItems.length
+        }));
+
+        if (sort) {
+            const sortSpec = parseSort(sort).map(([path, direction]) =>
+                [path === 'value' || path === 'count' ? path : `group.${path}`, direction]
+            );
+            results.sort((a, b) => compareBySort(a, b, sortSpec));
+        }
+
+        return results;
+    }
+}
 
-        switch (operation) {
-            case 'sum':
-                return items.reduce((acc, item) => acc + (Number(item[field]) || 0), 0);
+// ============================================
+// QUERY HELPERS
+// ============================================
 
-            case 'avg':
-                if (items.length === 0) return 0;
-                const sum = items.reduce((acc, item) => acc + (Number(item[field]) || 0), 0);
-                return sum / items.length;
+/**
+ * Read a (possibly dotted) field from an item
+ */
+function getField(item, path) {
+    return path.split('.').reduce((value, key) => value?.[key], item);
+}
 
-            case 'min':
-                if (items.length === 0) return null;
-                return Math.min(...items.map(item => Number(item[field]) || 0));
+/**
+ * Compare two field values: numbers numerically, everything else as strings
+ * (ISO dates sort correctly as strings). Missing values sort first.
+ */
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return -1;
+    if (b === undefined || b === null) return 1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
 
-            case 'max':
-                if (items.length === 0) return null;
-                return Math.max(...items.map(item => Number(item[field]) || 0));
+function isOperatorObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+        Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+}
 
-            case 'count':
-                return items.length;
+/**
+ * Check a single field value against a condition (plain value or operator object)
+ */
+function matchesCondition(value, condition) {
+    if (condition instanceof RegExp) {
+        return typeof value === 'string' && condition.test(value);
+    }
+    if (!isOperatorObject(condition)) {
+        return Array.isArray(value) ? value.includes(condition) : value === condition;
+    }
 
+    for (const [op, operand] of Object.entries(condition)) {
+        switch (op) {
+            case '$eq':
+                if (value !== operand) return false;
+                break;
+            case '$ne':
+                if (value === operand) return false;
+                break;
+            case '$gt':
+                if (value === undefined || value === null || compareValues(value, operand) <= 0) return false;
+                break;
+            case '$gte':
+                if (value === undefined || value === null || compareValues(value, operand) < 0) return false;
+                break;
+            case '$lt':
+                if (value === undefined || value === null || compareValues(value, operand) >= 0) return false;
+                break;
+            case '$lte':
+                if (value === undefined || value === null || compareValues(value, operand) > 0) return false;
+                break;
+            case '$in':
+                if (!operand.includes(value)) return false;
+                break;
+            case '$nin':
+                if (operand.includes(value)) return false;
+                break;
+            case '$exists':
+                if ((value !== undefined) !== Boolean(operand)) return false;
+                break;
+            case '$regex': {
+                const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+                if (typeof value !== 'string' || !regex.test(value)) return false;
+                break;
+            }
+            case '$options':
+                break;
             default:
-                throw new Error(`Unknown aggregation operation: ${operation}`);
+                throw new Error(`Unknown query operator: ${op}`);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Check an item against a filter
+ */
+function matchesFilter(item, filter) {
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key === '$and') {
+            if (!condition.every(sub => matchesFilter(item, sub))) return false;
+        } else if (key === '$or') {
+            if (!condition.some(sub => matchesFilter(item, sub))) return false;
+        } else if (!matchesCondition(getField(item, key), condition)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Normalize a sort spec to [[path, direction], ...]
+ */
+function parseSort(sort) {
+    if (typeof sort === 'string') {
+        return sort.split(/[\s,]+/).filter(Boolean).map(field =>
+            field.startsWith('-') ? [field.slice(1), -1] : [field, 1]
+        );
+    }
+    return Object.entries(sort).map(([path, direction]) => [path, direction < 0 ? -1 : 1]);
+}
+
+function compareBySort(a, b, sortSpec) {
+    for (const [path, direction] of sortSpec) {
+        const result = compareValues(getField(a, path), getField(b, path));
+        if (result !== 0) return result * direction;
+    }
+    return 0;
+}
+
+/**
+ * Apply an inclusion ({ field: 1 }) or exclusion ({ field: 0 }) projection.
+ * `_id` is kept unless excluded explicitly.
+ */
+function project(item, projection) {
+    const entries = Object.entries(projection);
+    const including = entries.some(([key, value]) => key !== '_id' && value);
+
+    if (!including) {
+        const result = { ...item };
+        for (const [key] of entries) delete result[key];
+        return result;
+    }
+
+    const result = projection._id === 0 ? {} : { _id: item._id };
+    for (const [key, value] of entries) {
+        if (value && key !== '_id' && item[key] !== undefined) result[key] = item[key];
+    }
+    return result;
+}
+
+/**
+ * Bucket a value for grouping (dates by day / month / year)
+ */
+function groupKey(value, by) {
+    if (!by || value === undefined || value === null) return value ?? null;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    const iso = date.toISOString();
+    switch (by) {
+        case 'day': return iso.slice(0, 10);
+        case 'month': return iso.slice(0, 7);
+        case 'year': return iso.slice(0, 4);
+        default:
+            throw new Error(`Unknown date grouping: ${by}`);
+    }
+}
+
+/**
+ * Reduce items to a single number
+ */
+function reduceItems(items, field, operation) {
+    switch (operation) {
+        case 'sum':
+            return items.reduce((acc, item) => acc + (Number(getField(item, field)) || 0), 0);
+
+        case 'avg': {
+            if (items.length === 0) return 0;
+            const sum = items.reduce((acc, item) => acc + (Number(getField(item, field)) || 0), 0);
+            return sum / items.length;
         }
+
+        case 'min':
+            if (items.length === 0) return null;
+            return Math.min(...items.map(item => Number(getField(item, field)) || 0));
+
+        case 'max':
+            if (items.length === 0) return null;
+            return Math.max(...items.map(item => Number(getField(item, field)) || 0));
+
+        case 'count':
+            return items.length;
+
+        default:
+            throw new Error(`Unknown aggregation operation: ${operation}`);
     }
 }
 
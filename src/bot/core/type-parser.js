@@ -1,26 +1,63 @@
 /**
  * Type Parser
  * 
- * Parses and validates argument types based on types.json definitions
+ * Parses and validates argument types based on types.json definitions,
+ * and on the types a service declares for its own commands (see ServiceLoader.getServiceTypes)
  */
 
 // Static import for types definition
 import typesDefinition from '../definitions/types.json' with { type: 'json' };
+import { parseCron } from '../utils/cron.js';
+import { parseDateInput, parseTimeInput, parseDateTimeInput, parseDurationInput } from '../utils/date-input.js';
+
+// Types whose values may be typed as several words ("next fri", "in 2 hours", "Ali Khan")
+const MULTI_WORD_TYPES = ['date', 'time', 'datetime', 'duration', 'UserId'];
+
+const USER_ID_SUFFIX = '@s.whatsapp.net';
+
+// Words that refer to the author of the replied-to message
+const REPLY_REFERENCES = ['this', 'this person', 'this user', 'him', 'her', 'them'];
+
+// Constraints a parameter (or a type in types.json) can declare
+const CONSTRAINT_KEYS = ['enum', 'min', 'max', 'minLength', 'maxLength', 'pattern', 'currency', 'decimals'];
+
+// Currency symbols accepted in money values, by ISO 4217 code
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY' };
 
 export class TypeParser {
-    constructor() {
+    /**
+     * @param {ServiceLoader} [serviceLoader] - Source of service-declared types
+     */
+    constructor(serviceLoader = null) {
         this.types = typesDefinition || {};
         this.unionDelimiter = this.types.unionType?.delimiter || '|';
+        this.serviceLoader = serviceLoader;
+    }
+
+    /**
+     * Definition of a type: the service's own over types.json
+     * @param {string} [service] - Service whose commands are being parsed
+     */
+    getTypeDef(type, service) {
+        return this.serviceLoader?.getServiceTypes(service)[type] ?? this.types[type];
     }
 
     /**
      * Parse a value according to its type definition
      * @param {string} value - Raw string value
      * @param {string} type - Type name (e.g., 'int', 'bool', 'UserId')
-     * @param {object} paramDef - Parameter definition with optional flags
+     * @param {object} paramDef - Parameter definition with optional flags and constraints
+     *   (enum, min/max, minLength/maxLength, pattern; currency/decimals for money)
+     * @param {object} [options]
+     * @param {string} [options.timeZone] - Chat time zone relative dates and times are read in
+     * @param {Date} [options.now] - Reference for relative dates (default now)
+     * @param {string[]} [options.mentions] - Users the message @mentions
+     * @param {string} [options.repliedToUser] - Author of the message replied to
+     * @param {object} [options.displayNames] - userId → name set for them in the chat
+     * @param {string} [options.service] - Service whose types are looked up first
      * @returns {{ success: boolean, value: any, error?: string }}
      */
-    parse(value, type, paramDef = {}) {
+    parse(value, type, paramDef = {}, options = {}) {
         // Handle null/undefined
         if (value === null || value === undefined) {
             if (paramDef.optional) {
@@ -29,26 +66,152 @@ export class TypeParser {
             return { success: false, error: 'Value is required' };
         }
 
+        // Media types take the media sent with the message, not text
+        if (this.isMediaType(type)) {
+            return this.parseMedia(value, type);
+        }
+
         // Handle list types
         if (paramDef.isList) {
-            return this.parseList(value, type, paramDef);
+            return this.parseList(value, type, paramDef, options);
+        }
+
+        // Handle union types (e.g., 'GroupId|UserId' or 'Service|*'), then base types
+        const constraints = this.getConstraints(type, paramDef, options.service);
+        const parsed = type.includes('|')
+            ? this.parseUnion(value, type, constraints, options)
+            : this.parseBaseType(value, type, constraints, options);
+
+        return parsed.success ? this.checkConstraints(parsed.value, constraints) : parsed;
+    }
+
+    /**
+     * Constraints of a parameter: its own, over those its type declares in types.json
+     */
+    getConstraints(type, paramDef = {}, service = undefined) {
+        const constraints = {};
+        for (const source of [this.getTypeDef(type, service), paramDef]) {
+            for (const key of CONSTRAINT_KEYS) {
+                if (source?.[key] !== undefined && source[key] !== null) constraints[key] = source[key];
+            }
+        }
+        return constraints;
+    }
+
+    /**
+     * Check a parsed value against constraints (see getConstraints)
+     * Enum values match case-insensitively and come back as declared.
+     */
+    checkConstraints(value, constraints) {
+        const { enum: allowed, min, max, minLength, maxLength, pattern } = constraints;
+
+        if (allowed) {
+            const match = allowed.find(option => String(option).toLowerCase() === String(value).toLowerCase());
+            if (match === undefined) {
+                return { success: false, error: `Must be one of: ${allowed.join(', ')}` };
+            }
+            value = match;
         }
 
-        // Handle union types (e.g., 'GroupId|UserId' or 'Service|*')
-        if (type.includes('|')) {
-            return this.parseUnion(value, type, paramDef);
+        if (typeof value === 'number') {
+            if (min !== undefined && value < min) return { success: false, error: `Must be at least ${min}` };
+            if (max !== undefined && value > max) return { success: false, error: `Must be at most ${max}` };
         }
 
-        // Handle base types
-        return this.parseBaseType(value, type);
+        if (typeof value === 'string') {
+            if (minLength !== undefined && value.length < minLength) {
+                return { success: false, error: `Must be at least ${minLength} characters` };
+            }
+            if (maxLength !== undefined && value.length > maxLength) {
+                return { success: false, error: `Must be at most ${maxLength} characters` };
+            }
+            if (pattern && !new RegExp(`^(?:${pattern})$`).test(value)) {
+                return { success: false, error: `Must match ${pattern}` };
+            }
+        }
+
+        return { success: true, value };
+    }
+
+    /**
+     * Describe the constraints of a parameter for help and prompts
+     * (e.g. "one of: pending, confirmed", "1-10", "INR, 2 decimals")
+     * @returns {string} Empty if there are none
+     */
+    describeConstraints(type, paramDef = {}, service = undefined) {
+        const { enum: allowed, min, max, minLength, maxLength, pattern, currency, decimals } = this.getConstraints(type, paramDef, service);
+        const parts = [];
+
+        if (allowed) parts.push(`one of: ${allowed.join(', ')}`);
+
+        if (min !== undefined && max !== undefined) parts.push(`${min}-${max}`);
+        else if (min !== undefined) parts.push(`min ${min}`);
+        else if (max !== undefined) parts.push(`max ${max}`);
+
+        if (minLength !== undefined && maxLength !== undefined) parts.push(`${minLength}-${maxLength} characters`);
+        else if (minLength !== undefined) parts.push(`at least ${minLength} characters`);
+        else if (maxLength !== undefined) parts.push(`at most ${maxLength} characters`);
+
+        if (pattern) parts.push(`matching ${pattern}`);
+
+        if (type === 'money') {
+            if (currency) parts.push(currency);
+            parts.push(`${decimals ?? 2} decimals`);
+        }
+
+        return parts.join(', ');
+    }
+
+    /**
+     * Check whether a type is filled from message media (see types.json mediaTypes)
+     */
+    isMediaType(type) {
+        return Array.isArray(this.types[type]?.mediaTypes);
+    }
+
+    /**
+     * Check whether a value of a type (or of one in a union) may span several words
+     */
+    isMultiWordType(type) {
+        return type.split(this.unionDelimiter).some(t => MULTI_WORD_TYPES.includes(t.trim()));
+    }
+
+    /**
+     * Parse options for a message context (see parse)
+     * The context carries `service` while a service's command is parsed.
+     */
+    getOptions(context = {}) {
+        return {
+            timeZone: context.timeZone,
+            mentions: context.mentions,
+            repliedToUser: context.repliedToUser,
+            displayNames: context.displayNames,
+            service: context.service
+        };
+    }
+
+    /**
+     * Validate a media description (see utils/message-content.js) against a media type
+     */
+    parseMedia(value, type) {
+        const allowed = this.types[type].mediaTypes;
+
+        if (!value || typeof value !== 'object' || !value.type) {
+            return { success: false, error: `Send ${type === 'media' ? 'a file' : `a ${type}`} with the message` };
+        }
+        if (!allowed.includes(value.type)) {
+            return { success: false, error: `Expected ${allowed.join(' or ')}, got ${value.type}` };
+        }
+        return { success: true, value };
     }
 
     /**
      * Parse a list of values, supporting ranges (e.g. "1,3-5,8" → [1,3,4,5,8])
      */
-    parseList(value, type, paramDef) {
+    parseList(value, type, paramDef, options = {}) {
         const items = this.splitList(String(value));
         const results = [];
+        const constraints = this.getConstraints(type, paramDef, options.service);
 
         for (const item of items) {
             const trimmed = item.trim();
@@ -61,12 +224,16 @@ export class TypeParser {
                 const end = parseInt(rangeMatch[2], 10);
                 const step = start <= end ? 1 : -1;
                 for (let i = start; step > 0 ? i <= end : i >= end; i += step) {
-                    results.push(i);
+                    const checked = this.checkConstraints(i, constraints);
+                    if (!checked.success) {
+                        return { success: false, error: `Invalid list item: ${checked.error}` };
+                    }
+                    results.push(checked.value);
                 }
                 continue;
             }
 
-            const parsed = this.parse(trimmed, type, { ...paramDef, isList: false });
+            const parsed = this.parse(trimmed, type, { ...paramDef, isList: false }, options);
             if (!parsed.success) {
                 return { success: false, error: `Invalid list item: ${parsed.error}` };
             }
@@ -76,15 +243,15 @@ export class TypeParser {
         // Deduplicate while preserving order
         const unique = [...new Set(results)];
 
-        // Check min/max constraints
-        const min = paramDef.min ?? 0;
-        const max = paramDef.max ?? null;
+        // Check list size; min/max and the other constraints apply to each item
+        const minItems = paramDef.minItems ?? 0;
+        const maxItems = paramDef.maxItems ?? null;
 
-        if (unique.length < min) {
-            return { success: false, error: `List must have at least ${min} items` };
+        if (unique.length < minItems) {
+            return { success: false, error: `List must have at least ${minItems} items` };
         }
-        if (max !== null && unique.length > max) {
-            return { success: false, error: `List must have at most ${max} items` };
+        if (maxItems !== null && unique.length > maxItems) {
+            return { success: false, error: `List must have at most ${maxItems} items` };
         }
 
         return { success: true, value: unique };
@@ -118,43 +285,55 @@ export class TypeParser {
     /**
      * Parse a union type (e.g., 'GroupId|UserId|*')
      */
-    parseUnion(value, type, paramDef) {
+    parseUnion(value, type, constraints = {}, options = {}) {
         const types = type.split(this.unionDelimiter);
+        const errors = [];
 
         // Try each type in order
         for (const t of types) {
             const trimmed = t.trim();
 
-            // Special handling for wildcard
-            if (trimmed === '*' && value === '*') {
-                return { success: true, value: '*' };
+            // A wildcard only stands for itself
+            if (trimmed === '*') {
+                if (value === '*') return { success: true, value: '*' };
+                continue;
             }
 
-            const parsed = this.parseBaseType(value, trimmed);
+            const parsed = this.parseBaseType(value, trimmed, constraints, options);
             if (parsed.success) {
                 return parsed;
             }
+            errors.push(parsed.error);
         }
 
+        // With one real alternative ('UserId|*') its own error says more
+        if (errors.length === 1) return { success: false, error: errors[0] };
         return { success: false, error: `Value must be one of: ${types.join(' or ')}` };
     }
 
     /**
      * Parse a base type
+     * @param {object} [constraints] - See getConstraints (money reads currency and decimals)
+     * @param {object} [options] - See parse
      */
-    parseBaseType(value, type) {
+    parseBaseType(value, type, constraints = {}, options = {}) {
         const strValue = String(value).trim();
 
+        // Users are resolved from the message before the format is checked
+        if (type === 'UserId') {
+            return this.parseUserId(strValue, options);
+        }
+
         // Check if type is derived from another type
-        const typeDef = this.types[type];
+        const typeDef = this.getTypeDef(type, options.service);
         if (typeDef?.derivedFrom) {
             // First validate against derived type
-            const baseResult = this.parseBaseType(strValue, typeDef.derivedFrom);
+            const baseResult = this.parseBaseType(strValue, typeDef.derivedFrom, constraints, options);
             if (!baseResult.success) {
                 return baseResult;
             }
             // Then apply additional validation for the specific type
-            return this.validateDerivedType(strValue, type, typeDef);
+            return this.validateDerivedType(strValue, type, baseResult);
         }
 
         switch (type) {
@@ -169,11 +348,15 @@ export class TypeParser {
             case 'string':
                 return { success: true, value: strValue };
             case 'date':
-                return this.parseDate(strValue);
+                return this.parseDate(strValue, options);
             case 'time':
-                return this.parseTime(strValue);
+                return this.parseTime(strValue, options);
             case 'datetime':
-                return this.parseDateTime(strValue);
+                return this.parseDateTime(strValue, options);
+            case 'duration':
+                return this.parseDuration(strValue);
+            case 'money':
+                return this.parseMoney(strValue, constraints);
             case 'email':
                 return this.parseEmail(strValue);
             case 'any':
@@ -187,9 +370,10 @@ export class TypeParser {
     }
 
     /**
-     * Validate derived types with additional constraints
+     * Validate derived types with additional checks
+     * @param {object} baseResult - Result of parsing the value as the type it derives from
      */
-    validateDerivedType(value, type, typeDef) {
+    validateDerivedType(value, type, baseResult) {
         switch (type) {
             case 'GroupId':
                 if (!value.endsWith('@g.us')) {
@@ -197,12 +381,6 @@ export class TypeParser {
                 }
                 return { success: true, value };
 
-            case 'UserId':
-                if (!value.endsWith('@s.whatsapp.net')) {
-                    return { success: false, error: 'UserId must end with @s.whatsapp.net' };
-                }
-                return { success: true, value };
-
             case 'Role':
             case 'Service':
             case 'Command':
@@ -214,8 +392,14 @@ export class TypeParser {
                 // Free-form string
                 return { success: true, value };
 
+            case 'Cron': {
+                const cron = parseCron(value);
+                return cron.success ? { success: true, value } : { success: false, error: cron.error };
+            }
+
             default:
-                return { success: true, value };
+                // Types declared in types.json keep the value their base type parsed
+                return baseResult;
         }
     }
 
@@ -256,36 +440,70 @@ export class TypeParser {
         return { success: true, value };
     }
 
-    parseDate(value) {
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(value)) {
-            return { success: false, error: 'Must be a date in YYYY-MM-DD format' };
+    parseDate(value, options = {}) {
+        const date = parseDateInput(value, options);
+        if (!date) {
+            return { success: false, error: 'Must be a date (YYYY-MM-DD, 25/12, today, tomorrow, next fri, in 3 days)' };
         }
-        const date = new Date(value);
-        if (isNaN(date.getTime())) {
-            return { success: false, error: 'Invalid date' };
+        return { success: true, value: date };
+    }
+
+    parseTime(value, options = {}) {
+        const time = parseTimeInput(value, options);
+        if (!time) {
+            return { success: false, error: 'Must be a time (14:30, 3pm, 9:15am, noon, in 2 hours)' };
         }
-        return { success: true, value };
+        return { success: true, value: time };
     }
 
-    parseTime(value) {
-        const timeRegex = /^\d{2}:\d{2}(:\d{2})?$/;
-        if (!timeRegex.test(value)) {
-            return { success: false, error: 'Must be a time in HH:MM or HH:MM:SS format' };
+    parseDateTime(value, options = {}) {
+        const dateTime = parseDateTimeInput(value, options);
+        if (!dateTime) {
+            return { success: false, error: 'Must be a date and time (tomorrow 3pm, next fri 9:00, 25/12 18:00, in 2 hours, YYYY-MM-DDTHH:MM)' };
         }
-        return { success: true, value };
+        return { success: true, value: dateTime };
     }
 
-    parseDateTime(value) {
-        const dtRegex = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?$/;
-        if (!dtRegex.test(value)) {
-            return { success: false, error: 'Must be a datetime in ISO 8601 format (YYYY-MM-DDTHH:MM)' };
+    parseDuration(value) {
+        const duration = parseDurationInput(value);
+        if (!duration) {
+            return { success: false, error: 'Must be a duration (1h30m, 2 days, 90 min, PT1H30M)' };
         }
-        const date = new Date(value);
-        if (isNaN(date.getTime())) {
-            return { success: false, error: 'Invalid datetime' };
+        return { success: true, value: duration };
+    }
+
+    /**
+     * Parse an amount of money: "1250", "1,250.50", "₹500", "500 INR"
+     * The value is the amount as a number; a currency given with it must be the declared one,
+     * and without a declared currency none may be given (amounts in different ones would be summed).
+     */
+    parseMoney(value, { currency, decimals = 2 } = {}) {
+        const match = value.match(/^([a-z]{3}|[^\d\s.,+-]+)?\s*(-?\d[\d,]*(?:\.\d+)?)\s*([a-z]{3}|[^\d\s.,+-]+)?$/i);
+        if (!match || (match[1] && match[3])) {
+            return { success: false, error: 'Must be an amount (e.g. 1250, 1,250.50)' };
         }
-        return { success: true, value };
+
+        const marker = match[1] || match[3];
+        if (marker) {
+            const code = CURRENCY_SYMBOLS[marker] || marker.toUpperCase();
+            if (!/^[A-Z]{3}$/.test(code)) {
+                return { success: false, error: `Unknown currency: ${marker}` };
+            }
+            if (!currency) {
+                return { success: false, error: 'Give the amount without a currency' };
+            }
+            if (code !== currency.toUpperCase()) {
+                return { success: false, error: `Amount must be in ${currency}` };
+            }
+        }
+
+        const digits = match[2].replace(/,/g, '');
+        const places = digits.split('.')[1]?.length || 0;
+        if (places > decimals) {
+            return { success: false, error: decimals ? `At most ${decimals} decimals` : 'Must be a whole amount' };
+        }
+
+        return { success: true, value: Number(digits) };
     }
 
     parseEmail(value) {
@@ -297,11 +515,54 @@ export class TypeParser {
         return { success: true, value };
     }
 
+    /**
+     * Parse a user: a full id, an @mention, a phone number ("+91 98765 43210"),
+     * "this person" in a reply, or a name set with admin setName
+     * @param {object} [options] - See parse (mentions, repliedToUser, displayNames)
+     */
+    parseUserId(value, options = {}) {
+        const { mentions = [], repliedToUser, displayNames = {} } = options;
+
+        if (value.endsWith(USER_ID_SUFFIX)) {
+            return this.parseEmail(value);
+        }
+        // Ids taken from the message as they are (also when validating parsed args again)
+        if (mentions.includes(value) || value === repliedToUser) {
+            return { success: true, value };
+        }
+
+        if (REPLY_REFERENCES.includes(value.toLowerCase())) {
+            if (!repliedToUser) return { success: false, error: `Reply to their message to use "${value}"` };
+            return { success: true, value: repliedToUser };
+        }
+
+        // Mentions show up in the text as "@<number>"; the id is taken as the API gave it
+        const name = value.replace(/^@/, '');
+        const mentioned = mentions.find(userId => userId.split('@')[0] === name);
+        if (mentioned) return { success: true, value: mentioned };
+
+        // Numbers split by spaces need the country code to be read as one
+        if (/^\+?[\d\s().-]+$/.test(name) && (!/\s/.test(name) || name.startsWith('+'))) {
+            const digits = name.replace(/\D/g, '');
+            if (digits.length < 7 || digits.length > 15) {
+                return { success: false, error: 'Phone number must have 7-15 digits, with country code' };
+            }
+            return { success: true, value: `${digits}${USER_ID_SUFFIX}` };
+        }
+
+        const matches = Object.entries(displayNames)
+            .filter(([, displayName]) => displayName?.toLowerCase() === name.toLowerCase());
+        if (matches.length === 1) return { success: true, value: matches[0][0] };
+        if (matches.length > 1) return { success: false, error: `${matches.length} users are named ${name}, use their number` };
+
+        return { success: false, error: 'Mention the user, reply to their message, or give their number or name' };
+    }
+
     /**
      * Get type info for display purposes
      */
-    getTypeInfo(type) {
-        const typeDef = this.types[type];
+    getTypeInfo(type, service = undefined) {
+        const typeDef = this.getTypeDef(type, service);
         if (typeDef) {
             return {
                 description: typeDef.description,
@@ -1,3 +1,5 @@
+import { formatDateTime, zonedTimeToUtc } from '../utils/time-zone.js';
+
 export async function addRoles(ctx) {
     const { args, chatId, stateManager, serviceLoader } = ctx;
     const { service, userIds, roles } = args;
@@ -31,12 +33,17 @@ export async function removeRoles(ctx) {
     if (!userIds?.length) return 'User IDs required';
     if (!roles?.length) return 'Roles required';
 
-    if (!userIdList.length) return 'User IDs required';
-    if (!roleList.length) return 'Roles required';
-
     const isInstalled = await stateManager.isServiceInstalled(chatId, service);
     if (!isInstalled) return `Service '${service}' not installed`;
 
+    // * stands for every assigned role, and every user holding one of the roles
+    const assigned = (await stateManager.getChatService(chatId, service))?.roles || {};
+    const roleList = roles.includes('*') ? Object.keys(assigned) : roles;
+    const userIdList = userIds.includes('*') ? [...new Set(roleList.flatMap(role => assigned[role] || []))] : userIds;
+
+    if (!userIdList.length) return 'No users with these roles';
+    if (!roleList.length) return 'No roles assigned';
+
     for (const userId of userIdList) {
         for (const role of roleList) {
             await stateManager.removeUserRole(chatId, service, userId, role);
@@ -55,13 +62,12 @@ export async function listRoles(ctx) {
     const isInstalled = await stateManager.isServiceInstalled(chatId, service);
     if (!isInstalled) return `Service '${service}' not installed`;
 
-    const chatData = await stateManager.getChatData(chatId);
-    const serviceData = chatData?.services?.get(service);
+    const serviceData = await stateManager.getChatService(chatId, service);
     const serviceDef = serviceLoader.getService(service);
 
     const allRoles = new Set(['admin', 'member', ...(serviceDef?.roles || [])]);
     if (serviceData?.roles) {
-        for (const roleName of serviceData.roles.keys()) {
+        for (const roleName of Object.keys(serviceData.roles)) {
             if (typeof roleName === 'string' && roleName.length > 1) allRoles.add(roleName);
         }
     }
@@ -69,7 +75,7 @@ export async function listRoles(ctx) {
     if (!userIds || userIds.length === 0 || userIds.includes('*')) {
         let response = `*${service} roles*\n`;
         for (const roleName of allRoles) {
-            const users = serviceData?.roles?.get(roleName) || [];
+            const users = serviceData?.roles?.[roleName] || [];
             const userList = Array.isArray(users) ? users : [];
             response += `\n*${roleName}:* ${userList.length ? userList.join(', ') : '_none_'}`;
         }
@@ -258,3 +264,86 @@ export async function listNames(ctx) {
 
     return Object.entries(names).map(([id, name]) => `${id} → ${name}`).join('\n');
 }
+
+export async function schedule(ctx) {
+    const { args, chatId, userId, scheduler } = ctx;
+    const { cron, command } = args;
+
+    if (!cron) return 'Schedule required';
+    if (!command) return 'Command required';
+
+    const result = await scheduler.schedule({ chatId, cron, command, createdBy: userId });
+    if (!result.success) return result.error;
+
+    const timeZone = await scheduler.getTimeZone(chatId);
+    return `Scheduled ${result.job.id}: ${command}\nNext run: ${formatDateTime(result.job.nextRunAt, timeZone)}`;
+}
+
+export async function unschedule(ctx) {
+    const { args, chatId, scheduler } = ctx;
+    const { jobId } = args;
+
+    if (!jobId) return 'Schedule id required';
+
+    const result = await scheduler.unschedule(chatId, jobId);
+    return result.success ? `Unscheduled: ${jobId}` : result.error;
+}
+
+export async function listSchedules(ctx) {
+    const { chatId, scheduler, serviceLoader } = ctx;
+
+    const jobs = await scheduler.list(chatId);
+    if (!jobs.length) return '_No schedules_';
+
+    const timeZone = await scheduler.getTimeZone(chatId);
+
+    return jobs.map(job => {
+        const id = job.service ? `${job.service}.${job.name}` : job.id;
+        const what = job.service
+            ? serviceLoader.getSchedules(job.service)[job.name]?.description || job.name
+            : job.command;
+        const when = job.enabled ? `next ${formatDateTime(job.nextRunAt, timeZone)}` : '_paused_';
+        const failed = job.lastStatus === 'error' ? `\n  ⚠️ ${job.lastError}` : '';
+
+        return `*${id}* \`${job.cron}\` ${what} (${when})${failed}`;
+    }).join('\n');
+}
+
+export async function pauseSchedule(ctx) {
+    const { args, chatId, scheduler } = ctx;
+    const { jobId } = args;
+
+    if (!jobId) return 'Schedule id required';
+
+    const result = await scheduler.setEnabled(chatId, jobId, false);
+    return result.success ? `Paused: ${jobId}` : result.error;
+}
+
+export async function resumeSchedule(ctx) {
+    const { args, chatId, scheduler } = ctx;
+    const { jobId } = args;
+
+    if (!jobId) return 'Schedule id required';
+
+    const result = await scheduler.setEnabled(chatId, jobId, true);
+    if (!result.success) return result.error;
+
+    const timeZone = await scheduler.getTimeZone(chatId);
+    return `Resumed: ${jobId}\nNext run: ${formatDateTime(result.job.nextRunAt, timeZone)}`;
+}
+
+export async function audit(ctx) {
+    const { args, chatId, timeZone, auditLog } = ctx;
+    const { userId, command, since } = args;
+
+    const entries = await auditLog.list({
+        chatId,
+        ...(userId !== '*' && { userId }),
+        ...(command !== '*' && { command }),
+        // From the start of that day in the chat's time zone
+        ...(since && { since: zonedTimeToUtc(String(since), '00:00', timeZone).toISOString() })
+    });
+    if (!entries.length) return '_No audit entries_';
+
+    return '*Audit log*\n' + await auditLog.format(entries, { timeZone });
+}
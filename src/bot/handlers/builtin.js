@@ -177,3 +177,26 @@ export async function services(ctx) {
     }
     return response;
 }
+
+export async function undo(ctx) {
+    const { args, userId, chatId, stateManager, storageManager } = ctx;
+    const targetUserId = args.userId || userId;
+    const isOwn = targetUserId === userId;
+
+    if (!isOwn) {
+        const isAdmin = await stateManager.isRootUser(userId) || await stateManager.userHasAdminRole(userId, chatId);
+        if (!isAdmin) return 'Only admins can undo others changes';
+    }
+
+    const changeSet = await storageManager.getLastChangeSet(chatId, targetUserId);
+    if (!changeSet) {
+        const window = await stateManager.getUndoWindow(chatId);
+        return `Nothing to undo from the last ${window} minutes`;
+    }
+
+    await storageManager.undoChangeSet(changeSet);
+
+    const whose = isOwn ? '' : ` (${await stateManager.resolveUserName(chatId, targetUserId)})`;
+    const count = changeSet.changes.reduce((sum, change) => sum + (change.op === 'clear' ? change.before.length : 1), 0);
+    return `Undone: ${changeSet.service} ${changeSet.command}${whose} (${count} item${count === 1 ? '' : 's'})`;
+}
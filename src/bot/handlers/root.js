@@ -1,3 +1,5 @@
+import { zonedTimeToUtc } from '../utils/time-zone.js';
+
 export async function listRoots(ctx) {
     const { stateManager } = ctx;
     const rootUsers = await stateManager.getRootUsers();
@@ -140,14 +142,29 @@ export async function listBlacklist(ctx) {
     ).join('\n');
 }
 
+export async function audit(ctx) {
+    const { args, timeZone, auditLog } = ctx;
+    const { chatId, userId, command, since } = args;
+
+    const entries = await auditLog.list({
+        ...(chatId !== '*' && { chatId }),
+        ...(userId !== '*' && { userId }),
+        ...(command !== '*' && { command }),
+        ...(since && { since: zonedTimeToUtc(String(since), '00:00', timeZone).toISOString() })
+    });
+    if (!entries.length) return '_No audit entries_';
+
+    return '*Audit log*\n' + await auditLog.format(entries, { timeZone, withChat: true });
+}
+
 export async function execGrpCmdAsRoot(ctx) {
-    const { args } = ctx;
+    const { args, userId } = ctx;
     const { groupId, parameters } = args;
 
     if (!groupId) return 'Group ID required';
     if (!parameters) return 'Command required';
 
-    return `_Not implemented_\nGroup: ${groupId}\nCommand: ${parameters}`;
+    return runCommandAs(ctx, groupId, userId, parameters);
 }
 
 export async function execGrpCmdAsUser(ctx) {
@@ -158,7 +175,7 @@ export async function execGrpCmdAsUser(ctx) {
     if (!userId) return 'User ID required';
     if (!parameters) return 'Command required';
 
-    return `_Not implemented_\nGroup: ${groupId}\nAs: ${userId}\nCommand: ${parameters}`;
+    return runCommandAs(ctx, groupId, userId, parameters);
 }
 
 export async function execPvtCmdAsUser(ctx) {
@@ -168,7 +185,8 @@ export async function execPvtCmdAsUser(ctx) {
     if (!userId) return 'User ID required';
     if (!parameters) return 'Command required';
 
-    return `_Not implemented_\nAs: ${userId}\nCommand: ${parameters}`;
+    // A user's private chat has their id
+    return runCommandAs(ctx, userId, userId, parameters);
 }
 
 export async function setSetting(ctx) {
@@ -220,3 +238,22 @@ export async function listSettings(ctx) {
     }
     return response;
 }
+
+/**
+ * Run a command in a chat as a user. The output is posted in that chat with
+ * responseHere, otherwise sent privately to the root user.
+ */
+async function runCommandAs(ctx, chatId, asUserId, command) {
+    const { args, userId, executeAs } = ctx;
+    const deliverTo = args.responseHere ? chatId : userId;
+
+    // Asked from the chat the output goes to: answer here
+    if (deliverTo === ctx.chatId) {
+        const response = await executeAs({ chatId, userId: asUserId, command });
+        return response?.messages || response?.text || '_No response_';
+    }
+
+    const response = await executeAs({ chatId, userId: asUserId, command, deliverTo });
+    if (!response) return '_No response_';
+    return deliverTo === userId ? '_Output sent to you privately_' : `_Output sent to ${chatId}_`;
+}
@@ -1,15 +1,22 @@
 export async function add(ctx) {
-    const { args, chatId, userId, storageManager } = ctx;
-    const { details } = args;
+    const { args, chatId, userId, storageManager, parsed } = ctx;
+    const { eventDate, eventPlace, companyName, phoneNo, ballons, employeeNames, details } = args;
 
-    if (!details?.trim()) return 'Event details required';
+    if (!details?.trim() && !eventPlace) return 'Event details required';
 
-    const parsedData = await parseEventDetails(details);
+    // Keyword parsing of the details fills whatever wasn't given (or read by AI) as an argument
+    const parsedData = await parseEventDetails(details || '');
 
     const order = {
         id: generateOrderId(),
-        rawInput: details,
+        rawInput: parsed?.rawArgs || details,
         ...parsedData,
+        date: eventDate || parsedData.date,
+        venue: eventPlace || parsedData.venue,
+        companyName,
+        phoneNo,
+        ballons,
+        employeeNames,
         status: 'pending',
         createdBy: userId,
         createdAt: new Date().toISOString()
@@ -18,12 +25,16 @@ export async function add(ctx) {
     await storageManager.addEntry(chatId, 'adorners', 'orders', order);
 
     let response = `Order: ${order.id}\n`;
-    if (parsedData.eventType) response += `Event: ${parsedData.eventType}\n`;
-    if (parsedData.date) response += `Date: ${parsedData.date}\n`;
-    if (parsedData.venue) response += `Venue: ${parsedData.venue}\n`;
-    if (parsedData.guests) response += `Guests: ${parsedData.guests}\n`;
-    if (parsedData.budget) response += `Budget: ${parsedData.budget}\n`;
-    if (parsedData.services?.length) response += `Services: ${parsedData.services.join(', ')}\n`;
+    if (order.eventType) response += `Event: ${order.eventType}\n`;
+    if (order.date) response += `Date: ${order.date}\n`;
+    if (order.venue) response += `Venue: ${order.venue}\n`;
+    if (order.companyName) response += `Company: ${order.companyName}\n`;
+    if (order.phoneNo) response += `Phone: ${order.phoneNo}\n`;
+    if (order.guests) response += `Guests: ${order.guests}\n`;
+    if (order.ballons) response += `Ballons: ${order.ballons}\n`;
+    if (order.budget) response += `Budget: ${order.budget}\n`;
+    if (order.services?.length) response += `Services: ${order.services.join(', ')}\n`;
+    if (order.employeeNames?.length) response += `Employees: ${order.employeeNames.join(', ')}\n`;
     response += `Status: pending`;
 
     return response;
@@ -66,14 +77,15 @@ export async function edit(ctx) {
 
     if (!isCreator && !isManager) return 'Cannot edit others orders';
 
-    const validFields = ['eventType', 'date', 'venue', 'guests', 'budget', 'services', 'notes', 'status'];
+    const validFields = ['eventType', 'date', 'venue', 'companyName', 'phoneNo', 'guests', 'ballons', 'budget', 'services', 'employeeNames', 'notes', 'status'];
+    const listFields = ['services', 'employeeNames'];
 
     if (!field) return `Field required\nValid: ${validFields.join(', ')}`;
     if (!validFields.includes(field)) return `Invalid field: ${field}\nValid: ${validFields.join(', ')}`;
     if (value === undefined) return 'Value required';
 
     const updates = {
-        [field]: value,
+        [field]: listFields.includes(field) ? String(value).split(',').map(s => s.trim()).filter(Boolean) : value,
         updatedBy: userId,
         updatedAt: new Date().toISOString()
     };
@@ -89,11 +101,6 @@ export async function setStatus(ctx) {
     if (!orderId) return 'Order ID required';
     if (!status) return 'Status required';
 
-    const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled'];
-    if (!validStatuses.includes(status)) {
-        return `Invalid status\nValid: ${validStatuses.join(', ')}`;
-    }
-
     const orders = await storageManager.getEntries(chatId, 'adorners', 'orders');
     const order = orders.find(o => o.id === orderId);
     if (!order) return `Not found: ${orderId}`;
@@ -121,9 +128,13 @@ export async function view(ctx) {
     response += `Event: ${order.eventType || '-'}\n`;
     response += `Date: ${order.date || '-'}\n`;
     response += `Venue: ${order.venue || '-'}\n`;
+    response += `Company: ${order.companyName || '-'}\n`;
+    response += `Phone: ${order.phoneNo || '-'}\n`;
     response += `Guests: ${order.guests || '-'}\n`;
+    response += `Ballons: ${order.ballons || '-'}\n`;
     response += `Budget: ${order.budget || '-'}\n`;
     response += `Services: ${order.services?.join(', ') || '-'}\n`;
+    response += `Employees: ${order.employeeNames?.join(', ') || '-'}\n`;
     response += `Notes: ${order.notes || '-'}\n`;
     response += `Status: ${order.status}\n`;
     response += `Created: ${order.createdAt}`;
@@ -1,26 +1,56 @@
+import { createAIProvider, resolveAIConfig } from '../../../ai/index.js';
+
+// Hard cap per thread, for when summarisation is off or keeps failing
+const MAX_THREAD_MESSAGES = 50;
+
+const SUMMARY_PROMPT = 'Summarise the conversation below so it can be continued later. ' +
+  'Keep facts, names, decisions and open questions. Reply with the summary only, in under 150 words.';
+
+/**
+ * Storage migrations, keyed by the service version they migrate to
+ */
+export const migrations = {
+  // v1 kept one shared history per chat: give every turn to the thread of the user who asked
+  2: async ({ mapItems }) => {
+    let threadId = 'user:unknown';
+    await mapItems('history', (item) => {
+      if (item.role === 'user' && item.userId) threadId = `user:${item.userId}`;
+      return { ...item, threadId };
+    });
+  }
+};
+
 export async function sendMessage(ctx) {
-  const { args, chatId, userId, stateManager, storageManager } = ctx;
-  const { prompt } = args;
+  const { args, chatId, userId, messageId, stateManager, storageManager, serviceLoader } = ctx;
+  const { message: prompt } = args;
 
   if (!prompt?.trim()) return 'Message required';
 
-  const settings = await stateManager.getServiceSettings(chatId, 'chatbot');
-  const history = await storageManager.getEntries(chatId, 'chatbot', 'history') || [];
+  const settings = await getSettings(stateManager, serviceLoader, chatId);
+  const threadId = await resolveThreadId(ctx);
+  const threadEntry = await getThread(storageManager, chatId, threadId);
+  const history = await getThreadMessages(storageManager, chatId, threadId);
 
   const userMessage = {
     id: Date.now().toString(36),
+    threadId,
     role: 'user',
     content: prompt,
     userId,
     timestamp: new Date().toISOString()
   };
 
-  await storageManager.addEntry(chatId, 'chatbot', 'history', userMessage);
+  const result = await generateAIResponse(prompt, history, threadEntry?.summary, settings);
+
+  // Failed calls stay out of the history so they don't pollute later context
+  if (!result.success) return result.text;
 
-  const aiResponse = await generateAIResponse(prompt, history, settings);
+  const aiResponse = result.text;
+  await storageManager.addEntry(chatId, 'chatbot', 'history', userMessage);
 
   const assistantMessage = {
     id: (Date.now() + 1).toString(36),
+    threadId,
     role: 'assistant',
     content: aiResponse,
     timestamp: new Date().toISOString()
@@ -28,34 +58,254 @@ export async function sendMessage(ctx) {
 
   await storageManager.addEntry(chatId, 'chatbot', 'history', assistantMessage);
 
-  const currentHistory = await storageManager.getEntries(chatId, 'chatbot', 'history');
-  if (currentHistory.length > 50) {
-    const toRemove = currentHistory.slice(0, currentHistory.length - 50);
-    for (const msg of toRemove) {
-      await storageManager.deleteEntry(chatId, 'chatbot', 'history', msg.id);
-    }
+  // Prompt ids outlive summarised messages, so replies to old prompts still find their thread
+  const messageIds = [...(threadEntry?.messageIds || []), ...(messageId ? [messageId] : [])].slice(-MAX_THREAD_MESSAGES);
+
+  if (!threadEntry) {
+    await storageManager.addEntry(chatId, 'chatbot', 'threads', {
+      id: threadId,
+      userId,
+      messageIds,
+      createdAt: userMessage.timestamp,
+      updatedAt: userMessage.timestamp
+    });
+  } else {
+    await storageManager.updateEntry(chatId, 'chatbot', 'threads', threadId, { messageIds, updatedAt: userMessage.timestamp });
   }
 
+  await compactThread(storageManager, chatId, threadId, settings);
+
   return aiResponse;
 }
 
-async function generateAIResponse(prompt, history, settings) {
-  const apiKey = process.env.AI_API_KEY || process.env.OPENAI_API_KEY;
+export async function thread(ctx) {
+  const { chatId, userId, storageManager, stateManager, serviceLoader } = ctx;
+
+  const settings = await getSettings(stateManager, serviceLoader, chatId);
+  const threadId = await resolveThreadId(ctx);
+  const threadEntry = await getThread(storageManager, chatId, threadId);
+  const messages = await getThreadMessages(storageManager, chatId, threadId);
+
+  if (!messages.length && !threadEntry?.summary) return 'No conversation yet';
+
+  let response = `*${describeThread(threadId, userId)}* (${messages.length} messages)\n`;
+  if (threadEntry?.summary) {
+    response += `\n_Earlier (${threadEntry.summarizedCount || 0} messages):_ ${threadEntry.summary}\n`;
+  }
+
+  for (const msg of messages) {
+    const name = msg.role === 'assistant' ? settings.botName : 'You';
+    const content = msg.content.length > 200 ? `${msg.content.slice(0, 200)}…` : msg.content;
+    response += `\n*${name}:* ${content}`;
+  }
+
+  return response;
+}
+
+export async function exportThread(ctx) {
+  const { chatId, userId, storageManager, stateManager, serviceLoader } = ctx;
+
+  const settings = await getSettings(stateManager, serviceLoader, chatId);
+  const threadId = await resolveThreadId(ctx);
+  const threadEntry = await getThread(storageManager, chatId, threadId);
+  const messages = await getThreadMessages(storageManager, chatId, threadId);
+
+  if (!messages.length && !threadEntry?.summary) return 'No conversation yet';
+
+  const lines = [`${describeThread(threadId, userId)} - exported ${new Date().toISOString()}`];
+  if (threadEntry?.summary) {
+    lines.push('', `Summary of ${threadEntry.summarizedCount || 0} earlier messages:`, threadEntry.summary);
+  }
 
-  if (!apiKey) {
-    return `Received: "${prompt}"\n\n_AI not configured. Set AI_API_KEY or OPENAI_API_KEY._`;
+  lines.push('');
+  for (const msg of messages) {
+    const name = msg.role === 'assistant' ? settings.botName : 'User';
+    lines.push(`[${msg.timestamp}] ${name}: ${msg.content}`);
   }
 
-  try {
-    return `Processing: "${prompt.substring(0, 100)}${prompt.length > 100 ? '...' : ''}"\n\n_API call not implemented._`;
-  } catch (error) {
-    console.error('AI API error:', error);
-    return `Error: ${error.message}`;
+  return '```\n' + lines.join('\n') + '\n```';
+}
+
+export async function resetThread(ctx) {
+  const { chatId, userId, storageManager } = ctx;
+
+  const threadId = await resolveThreadId(ctx);
+  const threadEntry = await getThread(storageManager, chatId, threadId);
+
+  // Reply threads belong to whoever started them
+  const owner = threadEntry?.userId || threadId.replace(/^user:/, '');
+  if (owner !== userId) return 'You can only reset your own thread';
+
+  const messages = await getThreadMessages(storageManager, chatId, threadId);
+  for (const msg of messages) {
+    await storageManager.deleteEntry(chatId, 'chatbot', 'history', msg.id);
   }
+  if (threadEntry) {
+    await storageManager.deleteEntry(chatId, 'chatbot', 'threads', threadId);
+  }
+
+  return `Thread reset (${messages.length} messages removed)`;
+}
+
+/**
+ * Pick the conversation thread for a message. Replies continue the thread of the
+ * message they quote - a prompt (by message id) or a bot answer (by text, as the
+ * ids of sent messages aren't known); replying to anything else starts a thread
+ * on that message. Everything else goes to the user's own thread.
+ */
+async function resolveThreadId(ctx) {
+  const { chatId, userId, repliedToId, quotedBody, storageManager } = ctx;
+
+  if (!repliedToId) return `user:${userId}`;
+
+  const threads = await storageManager.getEntries(chatId, 'chatbot', 'threads');
+  const promptThread = threads.find(t => t.messageIds?.includes(repliedToId));
+  if (promptThread) return promptThread.id;
+
+  if (quotedBody) {
+    const [answer] = await storageManager.getEntries(
+      chatId, 'chatbot', 'history',
+      { role: 'assistant', content: quotedBody },
+      { sort: { timestamp: -1 }, limit: 1 }
+    );
+    if (answer) return answer.threadId;
+  }
+
+  return `reply:${repliedToId}`;
+}
+
+function describeThread(threadId, userId) {
+  return threadId === `user:${userId}` ? 'Your thread' : 'Conversation thread';
+}
+
+async function getThread(storageManager, chatId, threadId) {
+  return storageManager.getEntry(chatId, 'chatbot', 'threads', threadId);
+}
+
+async function getThreadMessages(storageManager, chatId, threadId) {
+  return storageManager.getEntries(chatId, 'chatbot', 'history', { threadId }, { sort: { timestamp: 1 } });
+}
+
+/**
+ * Keep a thread within contextMessageLimit by folding the oldest messages into its summary
+ */
+async function compactThread(storageManager, chatId, threadId, settings) {
+  const messages = await getThreadMessages(storageManager, chatId, threadId);
+  const limit = Number(settings.contextMessageLimit) || 0;
+
+  let toRemove = [];
+  if (settings.summarizeHistory && limit > 0 && messages.length > limit) {
+    const older = messages.slice(0, messages.length - limit);
+    const threadEntry = await getThread(storageManager, chatId, threadId);
+    const summary = await summarize(older, threadEntry?.summary, settings);
+
+    if (summary) {
+      await storageManager.updateEntry(chatId, 'chatbot', 'threads', threadId, {
+        summary,
+        summarizedCount: (threadEntry?.summarizedCount || 0) + older.length
+      });
+      toRemove = older;
+    }
+  }
+
+  // Unsummarised messages are dropped past the cap
+  const remaining = messages.length - toRemove.length;
+  if (remaining > MAX_THREAD_MESSAGES) {
+    toRemove = messages.slice(0, messages.length - MAX_THREAD_MESSAGES);
+  }
+
+  for (const msg of toRemove) {
+    await storageManager.deleteEntry(chatId, 'chatbot', 'history', msg.id);
+  }
+}
+
+/**
+ * Fold messages into the running summary
+ * @returns {Promise<string|null>} New summary, or null if the AI call failed
+ */
+async function summarize(messages, previousSummary, settings) {
+  const provider = createAIProvider(resolveAIConfig(settings.AIConfig, { apiKey: settings.apiKey }));
+  if (!provider) return null;
+
+  const transcript = messages
+    .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.content}`)
+    .join('\n');
+
+  const result = await provider.complete({
+    system: SUMMARY_PROMPT,
+    messages: [{
+      role: 'user',
+      content: previousSummary ? `Summary so far:\n${previousSummary}\n\nContinued:\n${transcript}` : transcript
+    }],
+    temperature: 0
+  });
+
+  if (!result.success) {
+    console.error('AI summary error:', result.error);
+    return null;
+  }
+
+  return result.text;
+}
+
+/**
+ * Service settings with defaults from service.json; the system message
+ * falls back to the root AIConfig.systemPrompt before the service default
+ */
+async function getSettings(stateManager, serviceLoader, chatId) {
+  const stored = await stateManager.getServiceSettings(chatId, 'chatbot');
+  const rootSettings = await stateManager.getRootSettings();
+  const definitions = serviceLoader?.getSettingsDefinition('chatbot') || {};
+
+  const settings = {};
+  for (const [key, def] of Object.entries(definitions)) {
+    settings[key] = stored[key] ?? def.default;
+  }
+
+  settings.systemMessage = stored.systemMessage || rootSettings?.AIConfig?.systemPrompt || settings.systemMessage;
+  settings.AIConfig = rootSettings?.AIConfig || {};
+  return settings;
+}
+
+async function generateAIResponse(prompt, history, summary, settings) {
+  const config = resolveAIConfig(settings.AIConfig, { apiKey: settings.apiKey });
+  const provider = createAIProvider(config);
+
+  if (!provider) {
+    return {
+      success: false,
+      text: `Received: "${prompt}"\n\n_AI not configured. Set the chatbot apiKey setting, root AIConfig.apiKey or AI_API_KEY._`
+    };
+  }
+
+  // Most recent stored messages give the model the conversation so far; older ones live on in the summary
+  const limit = Number(settings.contextMessageLimit) || 0;
+  const context = limit > 0 ? history.slice(-limit) : [];
+  const system = summary
+    ? `${settings.systemMessage}\n\nSummary of the earlier conversation:\n${summary}`
+    : settings.systemMessage;
+
+  const result = await provider.complete({
+    system,
+    messages: [
+      ...context.map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content })),
+      { role: 'user', content: prompt }
+    ],
+    temperature: settings.responseTemperature,
+    maxTokens: settings.maxResponseTokens
+  });
+
+  if (!result.success) {
+    console.error('AI API error:', result.error);
+    return { success: false, text: `Error: ${result.error}` };
+  }
+
+  return result;
 }
 
 export async function clearHistory(ctx) {
   const { chatId, storageManager } = ctx;
   await storageManager.clearEntries(chatId, 'chatbot', 'history');
+  await storageManager.clearEntries(chatId, 'chatbot', 'threads');
   return 'History cleared';
 }
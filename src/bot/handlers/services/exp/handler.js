@@ -1,48 +1,39 @@
+// Expenses are listed and numbered oldest first
+const BY_DATE = { sort: { createdAt: 1 } };
+
 export async function add(ctx) {
-  const { args, userId, storage, state, userRoles } = ctx;
-  const { childNo, amount, item } = args;
+  const { args, userId, storage, userRoles } = ctx;
+  const { childNo, amount, item, receipt } = args;
 
   if (amount === undefined) return 'Amount required';
   if (!item) return 'Item required';
 
-  let targetUserId = userId;
-  if (userRoles.includes('parent') && childNo !== undefined) {
-    const children = await state.getUsersWithRole('child');
-    if (childNo < 1 || childNo > children.length) return `Invalid child (1-${children.length})`;
-    targetUserId = children[childNo - 1];
-  }
+  // childNo arrives as the child's UserId (see _parse_ChildNo)
+  const targetUserId = userRoles.includes('parent') && childNo !== undefined ? childNo : userId;
 
   await storage.addItem('expenses', {
     item,
     amount,
     addedBy: targetUserId,
-    createdAt: new Date().toISOString()
+    createdAt: new Date().toISOString(),
+    // The photo stays on WhatsApp; keep its message id to download it later
+    ...(receipt && { receipt: receipt.messageId })
   });
 
-  const entries = await storage.getStorage('expenses');
-  const userEntries = entries.filter(e => e.addedBy === targetUserId);
-  userEntries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
-  const total = userEntries.reduce((sum, e) => sum + Number(e.amount || 0), 0);
-  return `Added: ${item} - ${amount} (new total: ${total})`;
+  const total = roundMoney(await storage.aggregate('expenses', 'amount', 'sum', { addedBy: targetUserId }));
+  return `Added: ${item} - ${amount}${receipt ? ' 📎' : ''} (new total: ${total})`;
 }
 
 export async function edit(ctx) {
-  const { args, userId, storage, state, userRoles } = ctx;
+  const { args, userId, storage, userRoles } = ctx;
   const { childNo, itemNo, price, item } = args;
 
   if (!itemNo) return 'Item number required';
 
-  let entries = await storage.getStorage('expenses');
+  // childNo arrives as the child's UserId (see _parse_ChildNo)
+  const targetUserId = userRoles.includes('parent') && childNo !== undefined ? childNo : userId;
 
-  let targetUserId = userId;
-  if (userRoles.includes('parent') && childNo !== undefined) {
-    const children = await state.getUsersWithRole('child');
-    if (childNo < 1 || childNo > children.length) return `Invalid child (1-${children.length})`;
-    targetUserId = children[childNo - 1];
-  }
-
-  entries = entries.filter(e => e.addedBy === targetUserId);
-  entries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  const entries = await storage.query('expenses', { addedBy: targetUserId }, BY_DATE);
 
   if (itemNo < 1 || itemNo > entries.length) return `Invalid item (1-${entries.length})`;
 
@@ -58,17 +49,14 @@ export async function edit(ctx) {
 
   await storage.updateItem('expenses', entry._id, updates);
 
-  const allEntries = await storage.getStorage('expenses');
-  const userEntries = allEntries.filter(e => e.addedBy === entry.addedBy);
-  const total = userEntries.reduce((sum, e) => sum + Number(e.amount || 0), 0);
+  const total = roundMoney(await storage.aggregate('expenses', 'amount', 'sum', { addedBy: entry.addedBy }));
   return `Updated: ${item || entry.item} - ${price !== undefined ? price : entry.amount} (new total: ${total})`;
 }
 
 export async function list(ctx) {
   const { userId, storage, state, userRoles } = ctx;
-  let entries = await storage.getStorage('expenses');
 
-  if (!entries?.length) return 'No expenses';
+  if (!(await storage.count('expenses'))) return 'No expenses';
 
   const isParent = userRoles.includes('parent');
 
@@ -81,16 +69,15 @@ export async function list(ctx) {
     let grandTotal = 0;
 
     for (const childId of children) {
-      const childEntries = entries.filter(e => e.addedBy === childId);
+      const childEntries = await storage.query('expenses', { addedBy: childId }, BY_DATE);
       if (!childEntries.length) continue;
 
-      childEntries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
-      const total = childEntries.reduce((sum, e) => sum + Number(e.amount || 0), 0);
-      grandTotal += total;
+      const total = sumAmounts(childEntries);
+      grandTotal = roundMoney(grandTotal + total);
 
       const childName = await state.resolveUserName(childId);
       response += `*${childName}*\n`;
-      response += childEntries.map((e, i) => `${i + 1}. ${e.item} - ${e.amount}`).join('\n');
+      response += childEntries.map((e, i) => `${i + 1}. ${e.item} - ${e.amount}${e.receipt ? ' 📎' : ''}`).join('\n');
       response += `\n_Total: ${total}_\n\n`;
     }
 
@@ -99,15 +86,48 @@ export async function list(ctx) {
   }
 
   // Child: show only own expenses
-  entries = entries.filter(e => e.addedBy === userId);
+  const entries = await storage.query('expenses', { addedBy: userId }, BY_DATE);
   if (!entries.length) return 'No expenses';
 
-  entries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
-  const total = entries.reduce((sum, e) => sum + Number(e.amount || 0), 0);
-  let response = entries.map((e, i) => `${i + 1}. ${e.item} - ${e.amount}`).join('\n');
+  const total = sumAmounts(entries);
+  let response = entries.map((e, i) => `${i + 1}. ${e.item} - ${e.amount}${e.receipt ? ' 📎' : ''}`).join('\n');
   return response + `\n\n*Total: ${total}*`;
 }
 
+/**
+ * Scheduled (see "schedules" in service.json): post the last day's expenses per person
+ */
+export async function _scheduled_dailySummary(ctx) {
+  const { storage, state } = ctx;
+
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const entries = await storage.query('expenses', { createdAt: { $gte: since } }, BY_DATE);
+
+  // Quiet days stay quiet
+  if (!entries.length) return null;
+
+  const byUser = new Map();
+  for (const e of entries) {
+    if (!byUser.has(e.addedBy)) byUser.set(e.addedBy, []);
+    byUser.get(e.addedBy).push(e);
+  }
+
+  let response = '*Today\'s expenses*\n';
+  let grandTotal = 0;
+
+  for (const [addedBy, userEntries] of byUser) {
+    const total = sumAmounts(userEntries);
+    grandTotal = roundMoney(grandTotal + total);
+
+    const name = await state.resolveUserName(addedBy);
+    response += `\n*${name}*\n`;
+    response += userEntries.map(e => `• ${e.item} - ${e.amount}`).join('\n');
+    response += `\n_Total: ${total}_\n`;
+  }
+
+  return response + `\n*Grand Total: ${grandTotal}*`;
+}
+
 export async function clear(ctx) {
   const { args, userId, storage, userRoles } = ctx;
   const { childNo } = args;
@@ -119,9 +139,7 @@ export async function clear(ctx) {
     return 'Cleared all';
   }
 
-  const entries = await storage.getStorage('expenses');
-  const mine = entries?.filter(e => e.addedBy === userId) || [];
-  mine.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  const mine = await storage.query('expenses', { addedBy: userId }, BY_DATE);
 
   if (!mine.length) return 'Nothing to clear';
 
@@ -133,28 +151,19 @@ export async function clear(ctx) {
 }
 
 export async function remove(ctx) {
-  const { args, userId, storage, state, userRoles } = ctx;
+  const { args, userId, storage, userRoles } = ctx;
   const { childNo, itemNos } = args;
 
   if (!itemNos || (Array.isArray(itemNos) && itemNos.length === 0)) {
     return 'Item number(s) required';
   }
 
-  let entries = await storage.getStorage('expenses');
-  if (!entries?.length) return 'No expenses';
+  if (!(await storage.count('expenses'))) return 'No expenses';
 
   const isParent = userRoles.includes('parent');
-  let targetUserId = userId;
-
-  if (isParent && childNo !== undefined) {
-    const children = await state.getUsersWithRole('child');
-    if (childNo < 1 || childNo > children.length) return `Invalid child (1-${children.length})`;
-    targetUserId = children[childNo - 1];
-  }
-
-  entries = entries.filter(e => e.addedBy === targetUserId);
-  entries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  const targetUserId = isParent && childNo !== undefined ? childNo : userId;
 
+  const entries = await storage.query('expenses', { addedBy: targetUserId }, BY_DATE);
 
   // Validate all item numbers
   for (const itemNo of itemNos) {
@@ -175,9 +184,7 @@ export async function remove(ctx) {
   }
 
   // Calculate new total
-  const allEntries = await storage.getStorage('expenses');
-  const userEntries = allEntries.filter(e => e.addedBy === targetUserId);
-  const total = userEntries.reduce((sum, e) => sum + Number(e.amount || 0), 0);
+  const total = roundMoney(await storage.aggregate('expenses', 'amount', 'sum', { addedBy: targetUserId }));
 
   // Format response
   if (entriesToRemove.length === 1) {
@@ -189,18 +196,34 @@ export async function remove(ctx) {
   }
 }
 
+/**
+ * Parser for the ChildNo type (see "types" in service.json): the child's UserId
+ */
+export async function _parse_ChildNo(childNo, ctx) {
+  const { state } = ctx;
+
+  const children = await state.getUsersWithRole('child');
+  if (!children.length) return { success: false, error: 'No children' };
+  if (childNo > children.length) return { success: false, error: `Must be 1-${children.length}` };
+
+  return { success: true, value: children[childNo - 1] };
+}
+
 async function getChildrenList(storage, state) {
   const children = await state.getUsersWithRole('child');
   if (!children?.length) return { list: [], emptyMessage: 'No children' };
 
-  const entries = await storage.getStorage('expenses') || [];
+  const totals = await storage.group('expenses', {
+    groupBy: 'addedBy',
+    field: 'amount',
+    filter: { addedBy: { $in: children } }
+  });
   const list = await Promise.all(
     children.map(async (childId) => {
-      const childEntries = entries.filter(e => e.addedBy === childId);
-      const total = childEntries.reduce((sum, e) => sum + Number(e.amount || 0), 0);
+      const totalsForChild = totals.find(t => t.group.addedBy === childId);
       return {
         label: await state.resolveUserName(childId),
-        sublabel: `${childEntries.length} items, ${total}`
+        sublabel: `${totalsForChild?.count || 0} items, ${roundMoney(totalsForChild?.value)}`
       };
     })
   );
@@ -210,9 +233,7 @@ async function getChildrenList(storage, state) {
 
 export async function _interactiveContext_edit(ctx) {
   const { userId, storage, state, userRoles, currentArg, collectedArgs } = ctx;
-  const entries = await storage.getStorage('expenses');
-
-  if (!entries?.length) return { message: 'No expenses' };
+  if (!(await storage.count('expenses'))) return { message: 'No expenses' };
 
   const isParent = userRoles.includes('parent');
 
@@ -220,23 +241,24 @@ export async function _interactiveContext_edit(ctx) {
     return await getChildrenList(storage, state);
   }
 
-  let targetEntries = entries;
+  let filter = {};
   if (isParent && collectedArgs.childNo) {
     const children = await state.getUsersWithRole('child');
     const idx = Number(collectedArgs.childNo) - 1;
     if (idx >= 0 && idx < children.length) {
-      targetEntries = entries.filter(e => e.addedBy === children[idx]);
+      filter = { addedBy: children[idx] };
     }
   } else if (!isParent) {
-    targetEntries = entries.filter(e => e.addedBy === userId);
+    filter = { addedBy: userId };
   }
 
-  targetEntries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  const targetEntries = await storage.query('expenses', filter, BY_DATE);
 
   if (currentArg === 'itemNo') {
     return {
       list: targetEntries.map(e => ({ label: e.item, sublabel: String(e.amount) })),
-      emptyMessage: 'No expenses'
+      emptyMessage: 'No expenses',
+      poll: true
     };
   }
 
@@ -272,9 +294,7 @@ export async function _interactiveContext_clear(ctx) {
 
 export async function _interactiveContext_remove(ctx) {
   const { userId, storage, state, userRoles, currentArg, collectedArgs } = ctx;
-  const entries = await storage.getStorage('expenses');
-
-  if (!entries?.length) return { message: 'No expenses' };
+  if (!(await storage.count('expenses'))) return { message: 'No expenses' };
 
   const isParent = userRoles.includes('parent');
 
@@ -282,25 +302,35 @@ export async function _interactiveContext_remove(ctx) {
     return await getChildrenList(storage, state);
   }
 
-  let targetEntries = entries;
+  let filter = {};
   if (isParent && collectedArgs.childNo) {
     const children = await state.getUsersWithRole('child');
     const idx = Number(collectedArgs.childNo) - 1;
     if (idx >= 0 && idx < children.length) {
-      targetEntries = entries.filter(e => e.addedBy === children[idx]);
+      filter = { addedBy: children[idx] };
     }
   } else if (!isParent) {
-    targetEntries = entries.filter(e => e.addedBy === userId);
+    filter = { addedBy: userId };
   }
 
-  targetEntries.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+  const targetEntries = await storage.query('expenses', filter, BY_DATE);
 
   if (currentArg === 'itemNos') {
     return {
       list: targetEntries.map(e => ({ label: e.item, sublabel: String(e.amount) })),
-      emptyMessage: 'No expenses'
+      emptyMessage: 'No expenses',
+      poll: true
     };
   }
 
   return null;
-}
\ No newline at end of file
+}
+
+// Amounts have cents: round sums so floating point error doesn't show
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function sumAmounts(entries) {
+  return roundMoney(entries.reduce((sum, e) => sum + Number(e.amount || 0), 0));
+}
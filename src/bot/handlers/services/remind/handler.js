@@ -0,0 +1,162 @@
+import { zonedTimeToUtc, formatDateTime } from '../../../utils/time-zone.js';
+
+const MINUTE = 60 * 1000;
+
+// Sent reminders are kept this long so they can still be snoozed
+const KEEP_SENT = 24 * 60 * MINUTE;
+
+// Reminders are listed and numbered soonest first
+const BY_DUE = { sort: { dueAt: 1 } };
+
+// Snoozing clears sentAt to null (storage updates can't remove fields)
+const UNSENT = { $in: [undefined, null] };
+
+export async function add(ctx) {
+  return addReminder(ctx, false);
+}
+
+export async function addGroup(ctx) {
+  return addReminder(ctx, true);
+}
+
+export async function list(ctx) {
+  const { userId, chatId, storage, state, stateManager } = ctx;
+
+  const reminders = await getPendingReminders(storage, userId);
+  if (!reminders.length) return 'No reminders';
+
+  const timeZone = await stateManager.getChatTimeZone(chatId);
+  const lines = [];
+  for (const [i, r] of reminders.entries()) {
+    const who = r.forEveryone ? `everyone, by ${await state.resolveUserName(r.createdBy)}` : 'you';
+    lines.push(`${i + 1}. ${formatDateTime(r.dueAt, timeZone)} - ${r.text} _(${who})_`);
+  }
+
+  return lines.join('\n');
+}
+
+export async function remove(ctx) {
+  const { args, userId, storage, userRoles } = ctx;
+  const { reminderNos } = args;
+
+  if (!reminderNos?.length) return 'Reminder number(s) required';
+
+  const reminders = await getPendingReminders(storage, userId);
+  if (!reminders.length) return 'No reminders';
+
+  for (const reminderNo of reminderNos) {
+    if (reminderNo < 1 || reminderNo > reminders.length) {
+      return `Invalid reminder number ${reminderNo} (valid range: 1-${reminders.length})`;
+    }
+  }
+
+  const toRemove = [...new Set(reminderNos)].map(reminderNo => reminders[reminderNo - 1]);
+  if (toRemove.some(r => r.createdBy !== userId) && !userRoles.includes('admin')) {
+    return 'Cannot remove others reminders';
+  }
+
+  for (const reminder of toRemove) {
+    await storage.deleteItem('reminders', reminder._id);
+  }
+
+  return `Removed ${toRemove.length} reminder${toRemove.length === 1 ? '' : 's'}`;
+}
+
+export async function snooze(ctx) {
+  const { args, userId, chatId, storage, stateManager } = ctx;
+  const { minutes, reminderNo } = args;
+
+  if (minutes < 1) return 'Minutes must be at least 1';
+
+  let reminder;
+  if (reminderNo != null) {
+    const reminders = await getPendingReminders(storage, userId);
+    if (reminderNo < 1 || reminderNo > reminders.length) return `Invalid reminder (1-${reminders.length})`;
+    reminder = reminders[reminderNo - 1];
+  } else {
+    // The last one that went off for this user
+    const sent = await storage.query('reminders', {
+      sentAt: { $exists: true, $ne: null },
+      $or: [{ createdBy: userId }, { forEveryone: true }]
+    }, { sort: { sentAt: -1 } });
+    reminder = sent[0];
+    if (!reminder) return 'Nothing to snooze';
+  }
+
+  // Pending reminders move back from when they were due, sent ones from now
+  const from = Math.max(new Date(reminder.dueAt).getTime(), Date.now());
+  const dueAt = new Date(from + minutes * MINUTE).toISOString();
+
+  await storage.updateItem('reminders', reminder._id, {
+    dueAt,
+    sentAt: null,
+    snoozes: (reminder.snoozes || 0) + 1
+  });
+
+  const timeZone = await stateManager.getChatTimeZone(chatId);
+  return `Snoozed until ${formatDateTime(dueAt, timeZone)}: ${reminder.text}`;
+}
+
+/**
+ * Scheduled (see "schedules" in service.json): send reminders that are due
+ */
+export async function _scheduled_deliver(ctx) {
+  const { storage, state } = ctx;
+  const now = new Date();
+
+  const due = await storage.query('reminders', {
+    sentAt: UNSENT,
+    dueAt: { $lte: now.toISOString() }
+  }, BY_DUE);
+
+  const messages = [];
+  for (const reminder of due) {
+    await storage.updateItem('reminders', reminder._id, { sentAt: now.toISOString() });
+
+    const who = reminder.forEveryone ? 'Everyone' : await state.resolveUserName(reminder.createdBy);
+    messages.push(`⏰ *${who}*: ${reminder.text}`);
+  }
+
+  const expired = await storage.query('reminders', {
+    sentAt: { $lte: new Date(now.getTime() - KEEP_SENT).toISOString() }
+  });
+  for (const reminder of expired) {
+    await storage.deleteItem('reminders', reminder._id);
+  }
+
+  return messages.length ? messages : null;
+}
+
+async function addReminder(ctx, forEveryone) {
+  const { args, userId, chatId, storage, stateManager, isGroup } = ctx;
+  const { date, time, text } = args;
+
+  if (!text) return 'Reminder text required';
+  if (forEveryone && !isGroup) return 'Group reminders only work in groups';
+
+  // Typed times are wall-clock times in the chat's time zone
+  const timeZone = await stateManager.getChatTimeZone(chatId);
+  const dueAt = zonedTimeToUtc(String(date), String(time), timeZone);
+  if (isNaN(dueAt.getTime())) return 'Invalid date or time';
+  if (dueAt <= new Date()) return `${formatDateTime(dueAt, timeZone)} is in the past`;
+
+  await storage.addItem('reminders', {
+    text,
+    dueAt: dueAt.toISOString(),
+    forEveryone,
+    createdBy: userId,
+    createdAt: new Date().toISOString()
+  });
+
+  return `Reminder set for ${formatDateTime(dueAt, timeZone)}${forEveryone ? ' (everyone)' : ''}: ${text}`;
+}
+
+/**
+ * Reminders not yet sent that a user sees: their own and the group's
+ */
+async function getPendingReminders(storage, userId) {
+  return storage.query('reminders', {
+    sentAt: UNSENT,
+    $or: [{ createdBy: userId }, { forEveryone: true }]
+  }, BY_DUE);
+}
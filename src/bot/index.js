@@ -16,6 +16,8 @@ export { SessionManager } from './core/session-manager.js';
 export { StorageManager } from './core/storage-manager.js';
 export { HelpGenerator } from './core/help-generator.js';
 export { StateManager } from './core/state-manager.js';
+export { OutboundQueue } from './core/outbound-queue.js';
+export { Scheduler } from './core/scheduler.js';
 
 // Utilities
 export { WhatsAppClient } from './utils/whatsapp-client.js';
@@ -0,0 +1,156 @@
+/**
+ * Cron
+ * 
+ * Five-field cron expressions (minute hour day-of-month month day-of-week),
+ * evaluated in a time zone. Fields accept *, lists (1,15), ranges (1-5),
+ * steps (*\/10, 8-18/2) and month/day names (jan, mon). @hourly, @daily,
+ * @weekly, @monthly and @yearly are shorthands.
+ * As in standard cron, a job runs when either day field matches if both are restricted.
+ */
+
+import { getZonedParts } from './time-zone.js';
+
+const MINUTE = 60 * 1000;
+
+// Searching further than this means the expression never matches (e.g. 30 feb)
+const MAX_SEARCH_DAYS = 5 * 366;
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTHANDS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+/**
+ * Parse a cron expression
+ * @returns {{ success: boolean, value?: object, error?: string }}
+ *   value: { minute, hour, day, month, weekday } as Sets, plus which day fields are restricted
+ */
+export function parseCron(expression) {
+    const normalized = String(expression || '').trim().toLowerCase();
+    const parts = (SHORTHANDS[normalized] || normalized).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        return { success: false, error: 'Cron needs 5 fields: minute hour day month weekday' };
+    }
+
+    const value = {};
+    for (let i = 0; i < FIELDS.length; i++) {
+        const field = FIELDS[i];
+        const values = parseField(parts[i], field);
+        if (!values) {
+            return { success: false, error: `Invalid cron ${field.name}: ${parts[i]}` };
+        }
+        value[field.name] = values;
+    }
+
+    // 7 is Sunday too
+    if (value.weekday.delete(7)) value.weekday.add(0);
+
+    value.dayRestricted = parts[2] !== '*';
+    value.weekdayRestricted = parts[4] !== '*';
+    return { success: true, value };
+}
+
+/**
+ * Check a cron expression is valid
+ */
+export function isValidCron(expression) {
+    return parseCron(expression).success;
+}
+
+/**
+ * Get the next time a cron expression matches, strictly after a date
+ * @param {string} expression - Cron expression
+ * @param {Date} [after] - Start of the search (default now)
+ * @param {string} [timeZone] - IANA time zone the expression is read in (default: process time zone)
+ * @returns {Date|null} Next run, or null if the expression is invalid or never matches
+ */
+export function getNextRun(expression, after = new Date(), timeZone = undefined) {
+    const parsed = parseCron(expression);
+    if (!parsed.success) return null;
+
+    const cron = parsed.value;
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE;
+
+    // Whole minutes, starting with the one after `after`
+    let time = Math.floor(after.getTime() / MINUTE) * MINUTE + MINUTE;
+
+    while (time <= limit) {
+        const local = getZonedParts(new Date(time), timeZone);
+        const minutesToday = local.hour * 60 + local.minute;
+
+        if (!cron.month.has(local.month) || !matchesDay(cron, local)) {
+            // Next local midnight
+            time += (24 * 60 - minutesToday) * MINUTE;
+        } else if (!cron.hour.has(local.hour)) {
+            time += (60 - local.minute) * MINUTE;
+        } else if (!cron.minute.has(local.minute)) {
+            time += MINUTE;
+        } else {
+            return new Date(time);
+        }
+    }
+
+    return null;
+}
+
+function matchesDay(cron, local) {
+    const dayMatch = cron.day.has(local.day);
+    const weekdayMatch = cron.weekday.has(local.weekday);
+
+    if (cron.dayRestricted && cron.weekdayRestricted) return dayMatch || weekdayMatch;
+    return dayMatch && weekdayMatch;
+}
+
+/**
+ * Expand one cron field into the set of values it matches
+ * @returns {Set<number>|null} null if the field is invalid
+ */
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) return null;
+
+        let start, end;
+        if (range === '*') {
+            [start, end] = [field.min, field.max];
+        } else {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field);
+            // "5/15" means 5 to the end in steps of 15
+            end = to !== undefined ? parseValue(to, field) : (stepText !== undefined ? field.max : start);
+        }
+
+        if (start === null || end === null || start > end) return null;
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+function parseValue(text, field) {
+    const nameIndex = field.names?.indexOf(text) ?? -1;
+    const value = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(text);
+
+    if (text === '' || !Number.isInteger(value) || value < field.min || value > field.max) return null;
+    return value;
+}
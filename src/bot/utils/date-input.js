@@ -0,0 +1,360 @@
+/**
+ * Date Input
+ *
+ * Reads dates, times and durations the way people type them on a phone
+ * ("tomorrow", "next fri", "25/12", "3pm", "in 2 hours", "1h30m") as well as ISO.
+ * Relative inputs are resolved against `now` in a time zone (see time-zone.js).
+ * Parsers return the normalized ISO value, or null if the text isn't understood:
+ * dates "YYYY-MM-DD", times "HH:MM[:SS]", datetimes UTC ISO 8601, durations ISO 8601 ("PT1H30M").
+ */
+
+import { getZonedParts, zonedTimeToUtc } from './time-zone.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june',
+    'july', 'august', 'september', 'october', 'november', 'december'
+];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Unit spellings → canonical unit
+const UNITS = {
+    s: 'second', sec: 'second', secs: 'second', second: 'second', seconds: 'second',
+    m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+    h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+    d: 'day', day: 'day', days: 'day',
+    w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+    mo: 'month', month: 'month', months: 'month'
+};
+
+// Fixed-length units (months aren't, so durations don't take them)
+const UNIT_MS = { second: SECOND, minute: MINUTE, hour: HOUR, day: DAY, week: 7 * DAY };
+
+/**
+ * Parse a date
+ * @param {string} text - "2026-12-25", "25/12", "25/12/2026", "25 dec", "dec 25 2026",
+ *   "today", "tomorrow", "yesterday", "fri", "next fri", "last fri", "in 3 days", "2 weeks ago"
+ * @param {object} [options]
+ * @param {string} [options.timeZone]
+ * @param {Date} [options.now]
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function parseDateInput(text, { timeZone, now = new Date() } = {}) {
+    const input = normalize(text);
+    const today = getToday(now, timeZone);
+
+    let match = input.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) return toDate(Number(match[1]), Number(match[2]), Number(match[3]));
+
+    // Day first: 25/12, 25-12-2026, 25.12.26
+    match = input.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2}|\d{4}))?$/);
+    if (match) return toDate(parseYear(match[3], today), Number(match[2]), Number(match[1]));
+
+    // 25 dec, 25th december 2026, dec 25, december 25th 2026
+    match = input.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+),? ?(\d{4})?$/) ||
+        input.match(/^([a-z]+) (\d{1,2})(?:st|nd|rd|th)?,? ?(\d{4})?$/);
+    if (match) {
+        const [day, monthName] = /^\d/.test(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+        const month = findName(MONTHS, monthName);
+        if (month === -1) return null;
+        return toDate(parseYear(match[3], today), month + 1, Number(day));
+    }
+
+    switch (input) {
+        case 'today':
+        case 'tonight':
+            return formatDate(today);
+        case 'tomorrow':
+        case 'tmrw':
+        case 'tmr':
+            return formatDate(addDays(today, 1));
+        case 'yesterday':
+            return formatDate(addDays(today, -1));
+    }
+
+    // fri (today or later), next fri (after today), last fri (before today)
+    match = input.match(/^(?:(next|this|last) )?([a-z]+)$/);
+    if (match) {
+        const weekday = findName(WEEKDAYS, match[2]);
+        if (weekday !== -1) {
+            const todayWeekday = today.getUTCDay();
+            if (match[1] === 'last') {
+                return formatDate(addDays(today, -(((todayWeekday - weekday + 6) % 7) + 1)));
+            }
+            const ahead = (weekday - todayWeekday + 7) % 7;
+            return formatDate(addDays(today, match[1] === 'next' && ahead === 0 ? 7 : ahead));
+        }
+        if (match[1] === 'next' && match[2] === 'week') return formatDate(addDays(today, 7));
+    }
+
+    const offset = parseOffset(input);
+    if (offset) {
+        return formatDate(getToday(applyOffset(now, offset, timeZone), timeZone));
+    }
+
+    return null;
+}
+
+/**
+ * Parse a time of day
+ * @param {string} text - "14:30", "9:05:30", "3pm", "3:30 pm", "9.15am", "noon", "midnight",
+ *   "now", "in 2 hours"
+ * @param {object} [options] - { timeZone, now } as for parseDateInput
+ * @returns {string|null} HH:MM, or HH:MM:SS when seconds were given
+ */
+export function parseTimeInput(text, { timeZone, now = new Date() } = {}) {
+    const input = normalize(text);
+
+    switch (input) {
+        case 'noon':
+        case 'midday':
+            return '12:00';
+        case 'midnight':
+            return '00:00';
+        case 'now': {
+            const { hour, minute } = getZonedParts(now, timeZone);
+            return formatTime({ hour, minute });
+        }
+    }
+
+    const match = input.match(/^(\d{1,2})(?:[:.](\d{2})(?::(\d{2}))?)? ?([ap])?(?:\.?m\.?)?$/);
+    // A bare number isn't a time ("3" could be anything), "3pm" and "15:00" are
+    if (match && (match[2] !== undefined || match[4])) {
+        let hour = Number(match[1]);
+        const minute = Number(match[2] ?? 0);
+        const second = match[3] !== undefined ? Number(match[3]) : undefined;
+
+        if (match[4]) {
+            if (hour < 1 || hour > 12) return null;
+            hour = (hour % 12) + (match[4] === 'p' ? 12 : 0);
+        }
+        if (hour > 23 || minute > 59 || second > 59) return null;
+
+        return formatTime({ hour, minute, second });
+    }
+
+    const offset = parseOffset(input);
+    if (offset) {
+        const { hour, minute } = getZonedParts(applyOffset(now, offset, timeZone), timeZone);
+        return formatTime({ hour, minute });
+    }
+
+    return null;
+}
+
+/**
+ * Parse a date and time
+ * @param {string} text - ISO 8601 ("2026-12-25T18:00", with or without offset), "now",
+ *   "in 2 hours", a date and/or a time in either order ("tomorrow 3pm", "9:00 next fri",
+ *   "25/12 18:00"); a date alone means its midnight, a time alone today
+ * @param {object} [options] - { timeZone, now } as for parseDateInput
+ * @returns {string|null} UTC ISO 8601 (offsets given in the text are kept as typed)
+ */
+export function parseDateTimeInput(text, { timeZone, now = new Date() } = {}) {
+    const input = normalize(text);
+    const options = { timeZone, now };
+
+    // Already a point in time
+    if (/^\d{4}-\d{2}-\d{2}t\d{2}:\d{2}(:\d{2}(\.\d+)?)?(z|[+-]\d{2}:?\d{2})$/.test(input)) {
+        return isNaN(new Date(text.trim()).getTime()) ? null : text.trim();
+    }
+
+    // Wall-clock ISO is read in the time zone
+    const iso = input.match(/^(\d{4}-\d{2}-\d{2})t(\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?$/);
+    if (iso) {
+        const date = parseDateInput(iso[1], options);
+        const time = parseTimeInput(iso[2], options);
+        return date && time ? zonedTimeToUtc(date, time, timeZone).toISOString() : null;
+    }
+
+    if (input === 'now') return now.toISOString();
+
+    const offset = parseOffset(input);
+    if (offset) return applyOffset(now, offset, timeZone).toISOString();
+
+    // Split into a date part and a time part, in either order ("tomorrow at 3pm")
+    const words = input.replace(/ at /, ' ').split(' ');
+    for (let i = 1; i < words.length; i++) {
+        const head = words.slice(0, i).join(' ');
+        const tail = words.slice(i).join(' ');
+
+        const headDate = parseDateInput(head, options);
+        const [date, time] = headDate
+            ? [headDate, parseTimeInput(tail, options)]
+            : [parseDateInput(tail, options), parseTimeInput(head, options)];
+        if (date && time) return zonedTimeToUtc(date, time, timeZone).toISOString();
+    }
+
+    const date = parseDateInput(input, options);
+    if (date) return zonedTimeToUtc(date, '00:00', timeZone).toISOString();
+
+    const time = parseTimeInput(input, options);
+    if (time) return zonedTimeToUtc(formatDate(getToday(now, timeZone)), time, timeZone).toISOString();
+
+    return null;
+}
+
+/**
+ * Parse a duration
+ * @param {string} text - "1h30m", "2 days", "90 min", "1 hour 30 minutes", "1.5h",
+ *   or ISO 8601 ("PT1H30M", "P2D", "P1W")
+ * @returns {string|null} ISO 8601 duration (days, hours, minutes, seconds)
+ */
+export function parseDurationInput(text) {
+    const ms = durationToMs(text);
+    return ms === null ? null : formatDuration(ms);
+}
+
+/**
+ * Length of a duration in milliseconds
+ * @param {string} text - Anything parseDurationInput accepts
+ * @returns {number|null}
+ */
+export function durationToMs(text) {
+    const input = normalize(text);
+
+    const iso = input.match(/^p(?:(\d+)w)?(?:(\d+)d)?(?:t(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?)?$/);
+    if (iso && input !== 'p' && !input.endsWith('t')) {
+        const [, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+        return Math.round(weeks * UNIT_MS.week + days * DAY + hours * HOUR + minutes * MINUTE + seconds * SECOND);
+    }
+
+    // Amount-unit pairs, optionally separated by spaces, commas or "and"
+    const parts = input.replace(/,|\band\b/g, ' ').trim();
+    const pairs = [...parts.matchAll(/(\d+(?:\.\d+)?|an?) ?([a-z]+)/g)];
+    if (!pairs.length || pairs.map(pair => pair[0]).join('').replace(/ /g, '') !== parts.replace(/ /g, '')) {
+        return null;
+    }
+
+    let total = 0;
+    for (const [, amount, unitText] of pairs) {
+        const unit = UNIT_MS[UNITS[unitText]];
+        if (!unit) return null;
+        total += parseAmount(amount) * unit;
+    }
+    return Math.round(total);
+}
+
+/**
+ * Format milliseconds as an ISO 8601 duration ("P1DT2H30M")
+ */
+export function formatDuration(ms) {
+    let rest = Math.round(ms / SECOND);
+    const days = Math.floor(rest / 86400);
+    rest -= days * 86400;
+    const hours = Math.floor(rest / 3600);
+    rest -= hours * 3600;
+    const minutes = Math.floor(rest / 60);
+    const seconds = rest - minutes * 60;
+
+    const time = (hours ? `${hours}H` : '') + (minutes ? `${minutes}M` : '') + (seconds ? `${seconds}S` : '');
+    if (!days && !time) return 'PT0S';
+    return `P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+function normalize(text) {
+    return String(text ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Today in a time zone, as a UTC midnight Date (for calendar arithmetic)
+ */
+function getToday(now, timeZone) {
+    const { year, month, day } = getZonedParts(now, timeZone);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY);
+}
+
+/**
+ * Add months, keeping the day but not past the end of the target month (31 jan + 1 → 28 feb)
+ */
+function addMonths(date, months) {
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return target;
+}
+
+/**
+ * Validate a calendar date and format it
+ */
+function toDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return formatDate(date);
+}
+
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function formatTime({ hour, minute, second }) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${pad(hour)}:${pad(minute)}${second !== undefined ? `:${pad(second)}` : ''}`;
+}
+
+/**
+ * Years may be omitted (this year) or given with two digits (20xx)
+ */
+function parseYear(text, today) {
+    if (!text) return today.getUTCFullYear();
+    return text.length === 2 ? 2000 + Number(text) : Number(text);
+}
+
+/**
+ * Index of a month or weekday by its full name or a prefix of at least three letters
+ * ("dec", "sept", "thurs"); other words ("month", "sunset") match nothing
+ */
+function findName(names, text) {
+    if (!text || text.length < 3) return -1;
+    return names.findIndex(name => name.startsWith(text));
+}
+
+function parseAmount(text) {
+    return text === 'a' || text === 'an' ? 1 : Number(text);
+}
+
+/**
+ * Read a relative offset: "in 2 hours", "in an hour", "+30m", "3 days ago"
+ * @returns {{ amount: number, unit: string }|null} amount is negative for "ago"
+ */
+function parseOffset(input) {
+    const match = input.match(/^(in |\+ ?)?(\d+(?:\.\d+)?|an?) ?([a-z]+)( ago)?$/);
+    if (!match || !!match[1] === !!match[4]) return null;
+
+    const unit = UNITS[match[3]];
+    if (!unit) return null;
+
+    const amount = parseAmount(match[2]);
+    return { amount: match[4] ? -amount : amount, unit };
+}
+
+/**
+ * Move a point in time by an offset. Days, weeks and months move the calendar date
+ * in the time zone and keep the wall-clock time (so DST changes don't shift it).
+ */
+function applyOffset(now, { amount, unit }, timeZone) {
+    if (unit !== 'day' && unit !== 'week' && unit !== 'month') {
+        return new Date(now.getTime() + amount * UNIT_MS[unit]);
+    }
+
+    const today = getToday(now, timeZone);
+    const date = unit === 'month'
+        ? addMonths(today, Math.round(amount))
+        : addDays(today, Math.round(amount * (unit === 'week' ? 7 : 1)));
+
+    return zonedTimeToUtc(formatDate(date), formatTime(getZonedParts(now, timeZone)), timeZone);
+}
@@ -0,0 +1,145 @@
+/**
+ * Message Content
+ * 
+ * Normalizes the non-text parts of go-whatsapp-web-multidevice webhook
+ * payloads (media, locations, contacts, poll votes) into a stable shape for handlers.
+ * Media fields arrive either as a path string or as an object
+ * ({ media_path, mime_type, caption, ... }) depending on the API version.
+ * Poll votes arrive as { poll_vote: { poll_id, selected_options } }, where the
+ * options are the voter's whole current selection (option names or their SHA-256 hashes).
+ * Mentioned users arrive as `mentioned_jids` (or `mentions`), and the author of a
+ * replied-to message as `replied_to_sender` (or `quoted_participant`).
+ */
+
+// Payload key → media type
+const MEDIA_KEYS = {
+    image: 'image',
+    video: 'video',
+    audio: 'audio',
+    ptt: 'voice',
+    document: 'document',
+    sticker: 'sticker'
+};
+
+const NO_CONTENT = { media: null, location: null, contact: null, pollVote: null };
+
+/**
+ * Describe what a message carries
+ * @param {object} payload - Webhook message payload
+ * @returns {{ messageType: string, media: object|null, location: object|null, contact: object|null, pollVote: object|null }}
+ *   messageType is 'text', a media type (image, video, audio, voice, document, sticker),
+ *   'location', 'contact', 'poll_vote' or 'unknown'
+ */
+export function describeMessage(payload = {}) {
+    const media = extractMedia(payload);
+    if (media) {
+        return { ...NO_CONTENT, messageType: media.type, media };
+    }
+
+    const location = extractLocation(payload.location);
+    if (location) {
+        return { ...NO_CONTENT, messageType: 'location', location };
+    }
+
+    const contact = extractContact(payload.contact);
+    if (contact) {
+        return { ...NO_CONTENT, messageType: 'contact', contact };
+    }
+
+    const pollVote = extractPollVote(payload.poll_vote);
+    if (pollVote) {
+        return { ...NO_CONTENT, messageType: 'poll_vote', pollVote };
+    }
+
+    return { ...NO_CONTENT, messageType: payload.body ? 'text' : 'unknown' };
+}
+
+/**
+ * Users a message points at: the ones it @mentions and the author of the message it replies to
+ * @param {object} payload - Webhook message payload
+ * @returns {{ mentions: string[], repliedToUser: string|null }}
+ */
+export function describeReferences(payload = {}) {
+    const mentioned = payload.mentioned_jids ?? payload.mentions;
+    const mentions = Array.isArray(mentioned)
+        ? mentioned.map(mention => typeof mention === 'string' ? mention : mention?.jid).filter(Boolean)
+        : [];
+
+    return {
+        mentions,
+        repliedToUser: payload.replied_to_sender || payload.quoted_participant || null
+    };
+}
+
+/**
+ * @returns {{ type: string, messageId: string, mimeType?: string, caption?: string, fileName?: string, path?: string }|null}
+ */
+function extractMedia(payload) {
+    for (const [key, type] of Object.entries(MEDIA_KEYS)) {
+        const value = payload[key];
+        if (!value) continue;
+
+        const details = typeof value === 'string' ? { media_path: value } : value;
+        // Voice notes may also arrive as audio flagged ptt
+        const mediaType = type === 'audio' && details.ptt ? 'voice' : type;
+
+        return omitEmpty({
+            type: mediaType,
+            messageId: payload.id,
+            mimeType: details.mime_type || details.mimetype,
+            caption: details.caption,
+            fileName: details.filename || details.file_name,
+            path: details.media_path || details.url || details.path
+        });
+    }
+
+    return null;
+}
+
+function extractLocation(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const latitude = value.latitude ?? value.degreesLatitude;
+    const longitude = value.longitude ?? value.degreesLongitude;
+    if (latitude === undefined || longitude === undefined) return null;
+
+    return omitEmpty({
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        name: value.name,
+        address: value.address
+    });
+}
+
+function extractContact(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const vcard = value.vcard;
+    // First phone number in the vCard (TEL;...:+1 234 ...)
+    const phone = vcard?.match(/^TEL[^:]*:(.+)$/m)?.[1]?.replace(/[^\d+]/g, '');
+
+    return omitEmpty({
+        name: value.displayName || value.display_name || value.name,
+        phone,
+        vcard
+    });
+}
+
+/**
+ * @returns {{ pollId?: string, options: string[] }|null}
+ */
+function extractPollVote(value) {
+    if (!value || typeof value !== 'object') return null;
+
+    const options = value.selected_options ?? value.options;
+    if (!Array.isArray(options)) return null;
+
+    return {
+        ...omitEmpty({ pollId: value.poll_id || value.message_id }),
+        options: options.map(String)
+    };
+}
+
+function omitEmpty(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
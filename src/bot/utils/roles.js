@@ -0,0 +1,38 @@
+/**
+ * Roles
+ *
+ * Role inheritance declared by a service in service.json:
+ *   "roleInheritance": { "manager": ["member"], "parent": ["child"] }
+ * A role holds every permission of the roles it inherits, directly or through
+ * another role. Shared by the bot (ServiceLoader) and the dashboard.
+ */
+
+/**
+ * Roles plus every role they inherit
+ * @param {object} serviceDef - Service definition (service.json)
+ * @param {string[]} roles
+ * @returns {string[]} The given roles first, then the inherited ones
+ */
+export function expandRoles(serviceDef, roles = []) {
+    const inheritance = serviceDef?.roleInheritance || {};
+    const expanded = [...new Set(roles)];
+
+    // Grows while walking, so inherited roles' own parents are reached too
+    for (let i = 0; i < expanded.length; i++) {
+        for (const inherited of [].concat(inheritance[expanded[i]] || [])) {
+            if (!expanded.includes(inherited)) expanded.push(inherited);
+        }
+    }
+
+    return expanded;
+}
+
+/**
+ * Roles that inherit a role, directly or through another role
+ * @param {object} serviceDef - Service definition (service.json)
+ * @param {string} role
+ */
+export function getInheritingRoles(serviceDef, role) {
+    return Object.keys(serviceDef?.roleInheritance || {})
+        .filter(name => name !== role && expandRoles(serviceDef, [name]).includes(role));
+}
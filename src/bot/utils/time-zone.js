@@ -0,0 +1,99 @@
+/**
+ * Time Zone
+ * 
+ * Wall-clock conversions for IANA time zones using Intl (no tz database of our own).
+ * Chats pick their zone with the admin `timezone` setting (see StateManager.getChatTimeZone).
+ * An undefined time zone means the server's.
+ */
+
+const formatters = new Map();
+
+/**
+ * Check a time zone name is known to Intl
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Wall-clock fields of a date in a time zone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ *   month 1-12, weekday 0 (Sunday) - 6
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+/**
+ * Convert a wall-clock date and time in a time zone to the instant it denotes
+ * Times skipped by a DST change move forward by the change.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [time] - HH:MM or HH:MM:SS (default midnight)
+ * @param {string} [timeZone]
+ * @returns {Date} Invalid Date if the date or time can't be read
+ */
+export function zonedTimeToUtc(date, time = '00:00', timeZone = undefined) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute, second = 0] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    if (isNaN(wallClock)) return new Date(NaN);
+
+    // The offset at the guess is right unless a DST change lies in between
+    let instant = wallClock - getOffset(new Date(wallClock), timeZone);
+    instant = wallClock - getOffset(new Date(instant), timeZone);
+    return new Date(instant);
+}
+
+/**
+ * Format a date as "YYYY-MM-DD HH:MM" in a time zone
+ */
+export function formatDateTime(date, timeZone) {
+    return new Date(date).toLocaleString('sv-SE', { timeZone, dateStyle: 'short', timeStyle: 'short' });
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Milliseconds the time zone is ahead of UTC at a date
+ */
+function getOffset(date, timeZone) {
+    const p = getZonedParts(date, timeZone);
+    const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+function getFormatter(timeZone) {
+    const key = timeZone || '';
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            weekday: 'short'
+        }));
+    }
+    return formatters.get(key);
+}
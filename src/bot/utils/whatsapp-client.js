@@ -394,6 +394,7 @@ export class WhatsAppClient {
                 success: false,
                 error: error.response.data?.message || 'API Error',
                 code: error.response.data?.code || error.response.status,
+                status: error.response.status,
                 data: error.response.data
             };
         } else if (error.request) {